@@ -0,0 +1,37 @@
+import http from 'node:http'
+
+// a stand-in for freesound's api and preview server, for testing the proxy.
+// it knows a few sounds, wants a token, and counts the requests it gets.
+export const makeFakeFreesound = ({ token, sounds = {} }) => {
+  const requests = []
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://fake')
+    const origin = `http://localhost:${server.address().port}`
+    requests.push({ path: url.pathname, query: url.searchParams, authorization: req.headers.authorization })
+
+    if (url.pathname === '/apiv2/search/text/') {
+      if (req.headers.authorization !== `Token ${token}`) {
+        res.writeHead(401, { 'Content-Type': 'application/json' })
+        return res.end(JSON.stringify({ detail: 'Invalid token.' }))
+      }
+
+      const query = url.searchParams.get('query')
+      const results = Object.keys(sounds)
+            .filter(name => name.includes(query))
+            .map((name, idx) => ({ id: idx + 1, name, previews: { 'preview-hq-mp3': `${origin}/previews/${name}-hq.mp3` } }))
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      return res.end(JSON.stringify({ count: results.length, results }))
+    }
+
+    const preview = url.pathname.match(/^\/previews\/(.+)-hq\.mp3$/)
+    if (preview && sounds[preview[1]]) {
+      res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': sounds[preview[1]].length })
+      return res.end(sounds[preview[1]])
+    }
+
+    res.writeHead(404)
+    res.end()
+  })
+
+  return { server, requests }
+}
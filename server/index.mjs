@@ -0,0 +1,35 @@
+import { makeProxy, SearchCache } from './proxy.mjs'
+
+// runs the freesound proxy (see proxy.mjs), e.g.
+//   FREESOUND_TOKEN=... npm run proxy
+// and then set the proxy url in the app's settings to http://localhost:8787
+
+// the proxy streams previews with fetch, which node only has built in from 18 on
+const [major] = process.versions.node.split('.').map(Number)
+if (major < 18) {
+  console.error(`the proxy needs node 18 or later, this is ${process.version}`)
+  process.exit(1)
+}
+
+const {
+  FREESOUND_TOKEN,
+  PORT = 8787,
+  FREESOUND_API_URL,
+  FREESOUND_PREVIEWS_URL,
+  CACHE_ENTRIES = 500,
+  CACHE_TTL_MINUTES = 60,
+} = process.env
+
+if (!FREESOUND_TOKEN) {
+  console.error('FREESOUND_TOKEN needs to be set, get one from https://freesound.org/apiv2/apply')
+  process.exit(1)
+}
+
+const proxy = makeProxy({
+  token: FREESOUND_TOKEN,
+  apiUrl: FREESOUND_API_URL,
+  previewsUrl: FREESOUND_PREVIEWS_URL,
+  cache: new SearchCache({ maxEntries: Number(CACHE_ENTRIES), ttl: Number(CACHE_TTL_MINUTES) * 60 * 1000 }),
+})
+
+proxy.listen(Number(PORT), () => console.log(`Freesound Proxy Listening On: http://localhost:${PORT}`))
@@ -0,0 +1,133 @@
+import http from 'node:http'
+import { Readable } from 'node:stream'
+
+const SearchPath = '/apiv2/search/text/'
+const PreviewsPath = '/previews/'
+
+const CorsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Headers': '*',
+}
+
+// a small lru cache of search responses, which are forgotten after ttl milliseconds
+export class SearchCache {
+  constructor({ maxEntries = 500, ttl = 60 * 60 * 1000, now = Date.now } = {}) {
+    this.maxEntries = maxEntries
+    this.ttl = ttl
+    this.now = now
+    this.entries = new Map()
+  }
+
+  get(key) {
+    const entry = this.entries.get(key)
+    if (!entry) return null
+    if (this.now() - entry.time > this.ttl) {
+      this.entries.delete(key)
+      return null
+    }
+
+    // maps iterate in insertion order, so this makes it the most recently used
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    return entry.body
+  }
+
+  set(key, body) {
+    this.entries.delete(key)
+    this.entries.set(key, { body, time: this.now() })
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+}
+
+// points the preview urls of search results at the proxy, e.g.
+//   https://cdn.freesound.org/previews/1/1_2-hq.mp3 -> /previews/1/1_2-hq.mp3
+// so that previews can be streamed through it. the app resolves them against the proxy url.
+const rewritePreviews = (body, previewsUrl) => {
+  const origin = new URL(previewsUrl).origin
+  const results = (body.results || []).map(result => ({
+    ...result,
+    previews: Object.entries(result.previews || {}).reduce((acc, [format, url]) => {
+      const parsed = new URL(url)
+      return { ...acc, [format]: parsed.origin === origin ? `${parsed.pathname}${parsed.search}` : url }
+    }, {}),
+  }))
+  return { ...body, results }
+}
+
+const send = (res, status, body, headers = {}) => {
+  res.writeHead(status, { ...CorsHeaders, ...headers })
+  res.end(body)
+}
+
+// makes a server which searches freesound with a token that never leaves it, caches
+// the search responses and streams previews, so the app doesn't need a token of its
+// own (see src/sounds/freesound.js). only text searches and previews are let through.
+//
+// apiUrl and previewsUrl are where freesound is, which tests point at a fake.
+export const makeProxy = options => {
+  const {
+    token,
+    apiUrl = 'https://freesound.org',
+    previewsUrl = 'https://cdn.freesound.org',
+    cache = new SearchCache(),
+    fetch = globalThis.fetch,
+    log = console.log,
+  } = options
+
+  if (!token) throw new Error('the proxy needs a freesound token')
+
+  const search = async (url, res) => {
+    const key = url.search
+    const cached = cache.get(key)
+    if (cached) return send(res, 200, cached, { 'Content-Type': 'application/json', 'X-Cache': 'hit' })
+
+    log(`Searching Freesound: ${url.searchParams.get('query')}`)
+    const upstream = await fetch(`${apiUrl}${SearchPath}${url.search}`, { headers: { Authorization: `Token ${token}` } })
+    if (!upstream.ok) {
+      // pass failures on as they are, e.g. so the app can retry when rate limited
+      return send(res, upstream.status, await upstream.text(), { 'Content-Type': upstream.headers.get('content-type') || 'text/plain' })
+    }
+
+    const body = JSON.stringify(rewritePreviews(await upstream.json(), previewsUrl))
+    cache.set(key, body)
+    send(res, 200, body, { 'Content-Type': 'application/json', 'X-Cache': 'miss' })
+  }
+
+  const preview = async (url, req, res) => {
+    const controller = new AbortController()
+    req.on('close', () => controller.abort())
+
+    const upstream = await fetch(`${previewsUrl}${url.pathname}`, { signal: controller.signal })
+    if (!upstream.ok || !upstream.body) return send(res, upstream.status, await upstream.text())
+
+    res.writeHead(200, {
+      ...CorsHeaders,
+      'Content-Type': upstream.headers.get('content-type') || 'audio/mpeg',
+      ...(upstream.headers.has('content-length') ? { 'Content-Length': upstream.headers.get('content-length') } : {}),
+      'Cache-Control': 'public, max-age=86400',
+    })
+    Readable.fromWeb(upstream.body)
+      .on('error', () => res.destroy())
+      .pipe(res)
+  }
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://proxy')
+
+    try {
+      if (req.method === 'OPTIONS') return send(res, 204)
+      if (req.method !== 'GET') return send(res, 405, 'method not allowed')
+      if (url.pathname === SearchPath) return await search(url, res)
+      if (url.pathname.startsWith(PreviewsPath)) return await preview(url, req, res)
+      send(res, 404, 'not found')
+    } catch (err) {
+      if (req.destroyed) return
+      log(`Proxying Failed For: ${req.url}: ${err.message}`)
+      if (res.headersSent) return res.destroy()
+      send(res, 502, 'freesound is unreachable')
+    }
+  })
+}
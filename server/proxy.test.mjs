@@ -0,0 +1,127 @@
+import { after, before, beforeEach, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { makeProxy, SearchCache } from './proxy.mjs'
+import { makeFakeFreesound } from './fakeFreesound.mjs'
+
+const listen = server => new Promise(resolve => server.listen(0, () => resolve(`http://localhost:${server.address().port}`)))
+const close = server => new Promise(resolve => server.close(resolve))
+
+const kick = Buffer.from([1, 2, 3, 4])
+
+describe('freesound proxy', () => {
+  const fake = makeFakeFreesound({ token: 'secret', sounds: { kick, '808-kick': kick } })
+  let proxy = null
+  let proxyUrl = null
+
+  const startProxy = async token => {
+    const fakeUrl = `http://localhost:${fake.server.address().port}`
+    proxy = makeProxy({ token, apiUrl: fakeUrl, previewsUrl: fakeUrl, log: () => {} })
+    proxyUrl = await listen(proxy)
+  }
+
+  before(() => listen(fake.server))
+  after(() => close(fake.server))
+  beforeEach(() => { fake.requests.length = 0 })
+
+  describe('with a token', () => {
+    before(() => startProxy('secret'))
+    after(() => close(proxy))
+
+    test('searches freesound with its token', async () => {
+      const res = await fetch(`${proxyUrl}/apiv2/search/text/?query=kick&fields=id,name,previews`)
+      const { results } = await res.json()
+
+      assert.equal(res.status, 200)
+      assert.equal(res.headers.get('access-control-allow-origin'), '*')
+      assert.deepEqual(results.map(r => r.name), ['kick', '808-kick'])
+      assert.equal(fake.requests[0].authorization, 'Token secret')
+      assert.equal(fake.requests[0].query.get('fields'), 'id,name,previews')
+    })
+
+    test('points previews at itself', async () => {
+      const { results } = await fetch(`${proxyUrl}/apiv2/search/text/?query=808`).then(res => res.json())
+      assert.equal(results[0].previews['preview-hq-mp3'], '/previews/808-kick-hq.mp3')
+    })
+
+    test('caches search responses', async () => {
+      const first = await fetch(`${proxyUrl}/apiv2/search/text/?query=kick&page_size=2`)
+      const second = await fetch(`${proxyUrl}/apiv2/search/text/?query=kick&page_size=2`)
+
+      assert.equal(first.headers.get('x-cache'), 'miss')
+      assert.equal(second.headers.get('x-cache'), 'hit')
+      assert.deepEqual(await second.json(), await first.json())
+      assert.equal(fake.requests.length, 1)
+    })
+
+    test('streams previews', async () => {
+      const { results } = await fetch(`${proxyUrl}/apiv2/search/text/?query=808`).then(res => res.json())
+      const res = await fetch(new URL(results[0].previews['preview-hq-mp3'], proxyUrl))
+
+      assert.equal(res.status, 200)
+      assert.equal(res.headers.get('content-type'), 'audio/mpeg')
+      assert.deepEqual(Buffer.from(await res.arrayBuffer()), kick)
+    })
+
+    test('passes on missing previews', async () => {
+      const res = await fetch(`${proxyUrl}/previews/snare-hq.mp3`)
+      assert.equal(res.status, 404)
+    })
+
+    test('only lets searches and previews through', async () => {
+      const res = await fetch(`${proxyUrl}/apiv2/me/`)
+      assert.equal(res.status, 404)
+      assert.equal(fake.requests.length, 0)
+    })
+
+    test('answers preflight requests', async () => {
+      const res = await fetch(`${proxyUrl}/apiv2/search/text/?query=kick`, { method: 'OPTIONS' })
+      assert.equal(res.status, 204)
+      assert.equal(res.headers.get('access-control-allow-origin'), '*')
+    })
+  })
+
+  describe('with a bad token', () => {
+    before(() => startProxy('wrong'))
+    after(() => close(proxy))
+
+    test('passes on failures without caching them', async () => {
+      const first = await fetch(`${proxyUrl}/apiv2/search/text/?query=kick`)
+      const second = await fetch(`${proxyUrl}/apiv2/search/text/?query=kick`)
+
+      assert.equal(first.status, 401)
+      assert.deepEqual(await first.json(), { detail: 'Invalid token.' })
+      assert.equal(second.status, 401)
+      assert.equal(fake.requests.length, 2)
+    })
+  })
+
+  test('needs a token', () => {
+    assert.throws(() => makeProxy({}), /needs a freesound token/)
+  })
+})
+
+describe('SearchCache', () => {
+  test('forgets the least recently used responses', () => {
+    const cache = new SearchCache({ maxEntries: 2 })
+    cache.set('a', '1')
+    cache.set('b', '2')
+    cache.get('a')
+    cache.set('c', '3')
+
+    assert.equal(cache.get('a'), '1')
+    assert.equal(cache.get('b'), null)
+    assert.equal(cache.get('c'), '3')
+  })
+
+  test('forgets old responses', () => {
+    let time = 0
+    const cache = new SearchCache({ ttl: 1000, now: () => time })
+    cache.set('a', '1')
+
+    time = 999
+    assert.equal(cache.get('a'), '1')
+    time = 2000
+    assert.equal(cache.get('a'), null)
+  })
+})
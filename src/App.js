@@ -1,11 +1,20 @@
-import React, { useState } from 'react'
+import React, { useEffect, useState } from 'react'
 import './App.css'
 
 import { SequenceProvider } from './context/sequence'
 import { MusicEditor } from './editor'
+import { MixerPanel } from './mixerPanel'
+import { CachePanel } from './cachePanel'
+import { SettingsPanel } from './settingsPanel'
 import { Sequencer } from './sequencer'
 import { SequenceVisualizer } from './visualizer'
 import { Toolbar } from  './toolbar'
+import { Quantize } from './scheduler'
+import { StemModes } from './export/stems'
+import { loadSetting, saveSetting } from './storage'
+
+// the seed is saved so that takes can be played again after a reload
+const SavedSeedKey = 'tr45h.seed'
 
 
 
@@ -13,14 +22,33 @@ const App = () => {
   const [isPlaying, setIsPlaying] = useState(true)
   const [isPaused, setIsPaused] = useState(false)
   const [isRecording, setIsRecording] = useState(false)
+  const [quantize, setQuantize] = useState(Quantize.Bar)
+  const [isBouncing, setIsBouncing] = useState(false)
+  const [isExportingMidi, setIsExportingMidi] = useState(false)
+  const [bounceSettings, setBounceSettings] = useState({ length: '4 bars', bitDepth: 24, stems: StemModes.Off })
+  const [seed, setSeed] = useState(() => loadSetting(SavedSeedKey, 0))
   const playback = {
     isPlaying,
     isPaused,
     isRecording,
+    quantize,
+    isBouncing,
+    isExportingMidi,
+    bounceSettings,
+    seed,
     setIsPlaying,
     setIsPaused,
     setIsRecording,
+    setQuantize,
+    setIsBouncing,
+    setIsExportingMidi,
+    setBounceSettings,
+    setSeed,
   }
+
+  useEffect(() => {
+    saveSetting(SavedSeedKey, seed)
+  }, [seed])
   
   return (
     <div className="App">
@@ -31,7 +59,16 @@ const App = () => {
             <MusicEditor/>
             {/* <SequenceVisualizer/> */}
           </div>
-          <Sequencer isRecording={isRecording} isPlaying={isPlaying} isPaused={isPaused}/>
+          <div style={{display: 'flex', width: '100%', justifyContent: 'center'}}>
+            <MixerPanel/>
+          </div>
+          <div style={{display: 'flex', width: '100%', justifyContent: 'center'}}>
+            <CachePanel/>
+          </div>
+          <div style={{display: 'flex', width: '100%', justifyContent: 'center'}}>
+            <SettingsPanel seed={seed} setSeed={setSeed}/>
+          </div>
+          <Sequencer {...playback}/>
         </header>
       </SequenceProvider>
     </div>
@@ -0,0 +1,92 @@
+import React, { useEffect, useState } from 'react'
+import { makeStyles } from "@material-ui/core/styles"
+import { Button } from '@material-ui/core'
+
+import { useSequenceContext } from './context/sequence'
+
+
+const useStyles = makeStyles(theme => ({
+  panel: {
+    width: '50%',
+    marginTop: '40px',
+    fontSize: '14px',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    color: '#4e717a',
+    marginBottom: '8px',
+  },
+  entry: {
+    display: 'flex',
+    alignItems: 'center',
+  },
+  word: {
+    width: '25%',
+    textAlign: 'left',
+    color: '#85e4ff',
+  },
+  name: {
+    width: '45%',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+    textAlign: 'left',
+    color: '#4e717a',
+  },
+  size: {
+    width: '15%',
+    textAlign: 'right',
+    color: '#4e717a',
+  },
+  button: {
+    minWidth: '32px',
+    color: '#ff8aab',
+    textTransform: 'lowercase',
+  },
+}))
+
+const formatBytes = bytes => bytes < 1024 * 1024
+      ? `${(bytes / 1024).toFixed(0)} KB`
+      : `${(bytes / 1024 / 1024).toFixed(1)} MB`
+
+// lists the samples which are stored for offline use, most recently used first
+export const CachePanel = props => {
+  const { sequenceState, sampleCache } = useSequenceContext()
+  const [entries, setEntries] = useState([])
+  const classes = useStyles()
+
+  const failed = err => console.error(`Sample Cache Failed: ${err.message}`)
+  const refresh = () => sampleCache.entries()
+        .then(setEntries)
+        .catch(failed)
+
+  // new sounds end up in the cache, so look again whenever they change
+  useEffect(() => { refresh() }, [sequenceState.sounds])
+
+  const total = entries.reduce((sum, entry) => sum + entry.size, 0)
+
+  return (
+    <div className={classes.panel}>
+      <div className={classes.header}>
+        <span>{`cached samples: ${entries.length} (${formatBytes(total)} of ${formatBytes(sampleCache.maxBytes)})`}</span>
+        <Button aria-label="clear cache" size="small" className={classes.button} onClick={() => sampleCache.clear().catch(failed).then(refresh)}>
+          clear
+        </Button>
+      </div>
+      {
+        entries.map(({ key, word, name, size }) => (
+          <div key={key} className={classes.entry}>
+            <div className={classes.word}>{word}</div>
+            <div className={classes.name} title={name}>{name}</div>
+            <div className={classes.size}>{formatBytes(size)}</div>
+            <Button aria-label="remove" size="small" className={classes.button} onClick={() => sampleCache.remove(key).catch(failed).then(refresh)}>
+              x
+            </Button>
+          </div>
+        ))
+      }
+    </div>
+  )
+}
@@ -0,0 +1,32 @@
+// the clock converts between audio context time (seconds) and musical time (beats).
+// every sequence measures its position in beats against the same clock, so they
+// all stay phase locked to one another even when the tempo changes.
+export class Clock {
+  constructor(bpm = 128) {
+    this.bpm = bpm
+    this.anchorTime = 0.0 // some audio context time (seconds)...
+    this.anchorBeat = 0.0 // ...and the beat which falls exactly on it
+  }
+
+  // pins the given beat to the given time without changing the tempo
+  anchor(beat, time) {
+    this.anchorBeat = beat
+    this.anchorTime = time
+  }
+
+  // changes the tempo from the given time onwards, keeping the current beat
+  // in place. conversions are only meaningful from this time onwards.
+  setBpm(bpm, time) {
+    this.anchorBeat = this.beatAt(time)
+    this.anchorTime = time
+    this.bpm = bpm
+  }
+
+  beatAt(time) {
+    return this.anchorBeat + (time - this.anchorTime) * this.bpm / 60.0
+  }
+
+  timeAt(beat) {
+    return this.anchorTime + (beat - this.anchorBeat) * 60.0 / this.bpm
+  }
+}
@@ -0,0 +1,17 @@
+import { Clock } from './clock'
+
+describe('Clock', () => {
+  test('converts between beats and seconds', () => {
+    const clock = new Clock(120)
+    expect(clock.beatAt(1)).toEqual(2)
+    expect(clock.timeAt(3)).toEqual(1.5)
+  })
+
+  test('keeps the current beat in place when the tempo changes', () => {
+    const clock = new Clock(120)
+    clock.setBpm(60, 2)
+    expect(clock.beatAt(2)).toEqual(4)
+    expect(clock.timeAt(4)).toEqual(2)
+    expect(clock.timeAt(5)).toEqual(3)
+  })
+})
@@ -1,7 +1,14 @@
 import React, { createContext, useContext, useReducer, useState } from 'react'
-import { merge, reduce, omit } from  'lodash'
+import { keys, merge, reduce, omit, pick, pickBy } from  'lodash'
+import { makeDefaultRegistry } from '../sounds'
+import { DefaultFreesoundSettings, makeFreesoundProvider } from '../sounds/freesound'
+import { makeSampleCache } from '../sounds/cache'
+import { SoundFetcher } from '../sounds/fetcher'
+import { SoundStatus } from '../sounds/status'
+import { loadSetting, saveSetting } from '../storage'
 
-const API_TOKEN = "aMdevlgMb06KIjs2yy4pkFbw9IOwq5Z6cZFWncsj"
+const SavedChoicesKey = 'tr45h.sounds'
+const SavedFreesoundKey = 'tr45h.freesound'
 
 const SequenceContext = createContext()
 
@@ -13,13 +20,7 @@ export const useSequenceContext = () => {
   return ctx
 }
 
-// the statuses that a sound can have
-export const SoundStatus = {
-  Searching: 'searching',
-  Downloading: 'downloading',
-  Available: 'available',
-  Unavailable: 'unavailable',
-}
+export { SoundStatus }
 
 const initialReducerState = {
   sounds: {},    // byName
@@ -45,35 +46,42 @@ const mergeSounds = (state, addedSoundNameList, deletedSoundNameList) =>
         )
       )
 
-// returns a new state.sounds object with the buffers populated
-// and the status set to 'available'
-const loadSoundBuffers = (state, buffersByName) =>
-      merge(
-        {},
-        state.sounds,
-        reduce(
-          buffersByName,
+// returns a new state.sounds object with the buffers populated, the
+// candidates they came from (see sounds/providers.js) and the status
+// set to 'available'. sounds which have been deleted in the meantime
+// are left deleted.
+const loadSoundBuffers = (state, buffersByName, candidatesByName = {}) =>
+      ({
+        ...state.sounds,
+        ...reduce(
+          pick(buffersByName, keys(state.sounds)),
           (acc, buffer, name) => ({
             ...acc,
             [name]: {
+              ...state.sounds[name],
               status: SoundStatus.Available,
-              buffer, 
+              buffer,
+              candidate: candidatesByName[name] || null,
+              reason: null,
             }
           }),
           {}
         )
-      )
+      })
 
-const setSoundStatuses = (state, statusesByName) =>
+// returns a new state.sounds object with new statuses, and the reasons
+// for any errors (see SoundStatus)
+const setSoundStatuses = (state, statusesByName, reasonsByName = {}) =>
       merge(
         {},
         state.sounds,
         reduce(
-          statusesByName,
+          pick(statusesByName, keys(state.sounds)),
           (acc, status, name) => ({
             ...acc,
             [name]: {
-              status
+              status,
+              reason: reasonsByName[name] || null,
             }
           }),
           {}
@@ -91,69 +99,18 @@ const sequenceReducer = (state, action) => {
   case 'SOUNDS_DOWNLOADED':
     return {
       ...state,
-      sounds: loadSoundBuffers(state, action.sounds)
+      sounds: loadSoundBuffers(state, action.sounds, action.candidates)
     }
   case 'SOUND_STATUSES_UPDATED':
     return {
       ...state,
-      sounds: setSoundStatuses(state, action.statuses)
+      sounds: setSoundStatuses(state, action.statuses, action.reasons)
     }
   default:
     return state
   }
 }
 
-// NOTES: fetching previews do NOT take authorization headers....in fact, if you include them
-// it will cause a preflight cors OPTIONS request to be made....unfortunately, the
-// freesound API doesn't return 'Acess-Control-Allow-Origin: *' in the preflight
-// OPTION reponse for previews (media server i guess?)....
-const makeFetchNewSounds = dispatch => async keywords => {
-  // now, perform a search using the FreeSound API using the keywords and get preview urls
-  let keywordToBuffer = {}
-  for (const keyword of keywords) {
-    if (keyword === "_") continue
-
-    console.log(`Fetching Sounds Related to: ${keyword}`)
-    const { results } = await fetch(
-      `https://freesound.org/apiv2/search/text/?query=${keyword}&fields=name,previews&page_size=150`,
-      {headers: {Authorization: `Token ${API_TOKEN}`}}
-    ).then(res => res.json())
-
-
-    if (results.length === 0) {
-      // darn. no results found. mark this as unavailable.
-      dispatch({
-        type: 'SOUND_STATUSES_UPDATED',
-        statuses: { [keyword]: SoundStatus.Unavailable }
-      })
-      continue
-    }
-
-    // we found results, lets start downloading the sound.
-    dispatch({
-      type: 'SOUND_STATUSES_UPDATED',
-      statuses: { [keyword]: SoundStatus.Downloading }
-    })
-    console.log(`Found Sounds Related to: ${keyword}`)
-    
-    // randomly select a result from array of results
-    const result = results[Math.floor(Math.random() * results.length)]
-    const previewUrl = result.previews["preview-hq-mp3"]
-
-    console.log(`Fetching MP3 For: ${result.name}`)
-    // fetch Array Buffer of Mp3
-    const buffer = await fetch(previewUrl)
-          .then(res => res.arrayBuffer())
-
-    keywordToBuffer[keyword] = buffer
-
-
-    console.log(`Downloaded MP3 For: ${result.name}`)
-  }
-  
-  dispatch({type: 'SOUNDS_DOWNLOADED', sounds: keywordToBuffer})
-}
-
 export const SequenceProvider = props => {
   const [sequenceState, sequenceDispatch] = useReducer(sequenceReducer, initialReducerState)
   const [currentSteps, setCurrentSteps] = useState({})
@@ -162,10 +119,81 @@ export const SequenceProvider = props => {
                         ? {...currentSteps, [key]: {current: step, previous: currentSteps[key] ? currentSteps[key].current : null }}
                         : omit(currentSteps, [key]))
 
-  const fetchNewSounds = makeFetchNewSounds(sequenceDispatch)
+  // sequences with edits which are waiting for the next quantization boundary
+  const [pendingSequences, setPendingSequences] = useState({})
+  const setPendingSequence = (key, isPending) =>
+        setPendingSequences(pendingSequences => isPending
+                            ? {...pendingSequences, [key]: true}
+                            : omit(pendingSequences, [key]))
+
+  // mixer panel settings for each sequence, e.g. { gain: 1, pan: 0, mute: false, solo: false }
+  const [mixerSettings, setMixerSettings] = useState({})
+  const setChannelSettings = (key, settings) =>
+        setMixerSettings(mixerSettings => ({...mixerSettings, [key]: {...mixerSettings[key], ...settings}}))
+
+  // freesound credentials, i.e. { token, proxyUrl }, kept between sessions
+  const [freesoundSettings, setFreesoundSettingsState] = useState(
+    () => ({ ...DefaultFreesoundSettings, ...loadSetting(SavedFreesoundKey, {}) })
+  )
+
+  // where sounds come from and where they are kept, for the lifetime of the provider
+  const [soundRegistry] = useState(() => makeDefaultRegistry(freesoundSettings))
+  const [sampleCache] = useState(makeSampleCache)
+  const [soundFetcher] = useState(() => new SoundFetcher({
+    registry: soundRegistry,
+    cache: sampleCache,
+    dispatch: sequenceDispatch,
+    choices: loadSetting(SavedChoicesKey, undefined),
+    onChoicesChanged: choices => {
+      saveSetting(SavedChoicesKey, choices)
+      setSoundChoices(choices)
+    },
+  }))
+
+  // which sound each word uses (see sounds/selection.js), kept between sessions
+  const [soundChoices, setSoundChoices] = useState(soundFetcher.choices)
+  const fetchNewSounds = words => soundFetcher.fetch(words)
+  const cancelSounds = words => soundFetcher.cancel(words)
+  const rerollSound = word => soundFetcher.reroll(word)
+  const toggleSoundLock = word => soundFetcher.toggleLock(word)
+
+  // swaps in a freesound provider with new credentials and tries any words
+  // which failed with the old ones again
+  const setFreesoundSettings = settings => {
+    const newSettings = { ...freesoundSettings, ...settings }
+    saveSetting(SavedFreesoundKey, newSettings)
+    setFreesoundSettingsState(newSettings)
+    soundRegistry.register('fs', makeFreesoundProvider(newSettings))
+
+    const failed = keys(pickBy(sequenceState.sounds, sound => sound.status === SoundStatus.Error))
+    if (failed.length === 0) return
+    sequenceDispatch({
+      type: 'SOUND_STATUSES_UPDATED',
+      statuses: failed.reduce((acc, word) => ({ ...acc, [word]: SoundStatus.Searching }), {}),
+    })
+    soundFetcher.fetch(failed)
+  }
 
   return (
-    <SequenceContext.Provider value={{sequenceState, fetchNewSounds, sequenceDispatch, currentSteps, setCurrentStep}}>
+    <SequenceContext.Provider value={{
+      sequenceState,
+      fetchNewSounds,
+      cancelSounds,
+      rerollSound,
+      toggleSoundLock,
+      soundChoices,
+      soundRegistry,
+      sampleCache,
+      freesoundSettings,
+      setFreesoundSettings,
+      sequenceDispatch,
+      currentSteps,
+      setCurrentStep,
+      pendingSequences,
+      setPendingSequence,
+      mixerSettings,
+      setChannelSettings,
+    }}>
       {props.children}
     </SequenceContext.Provider>
   )
@@ -1,20 +1,47 @@
 import React, { useCallback, useEffect, useState, useRef } from 'react'
-import {Editor, EditorState, SelectionState, convertToRaw, CompositeDecorator, Modifier, getDefaultKeyBinding, convertFromRaw} from 'draft-js'
+import {Editor, EditorState, ContentState, SelectionState, convertToRaw, CompositeDecorator, Modifier, getDefaultKeyBinding, convertFromRaw} from 'draft-js'
 import 'draft-js/dist/Draft.css'
-import { keys, filter, findIndex, flatMap, map, reduce, debounce, intersection, xor, uniq } from 'lodash'
+import { keys, filter, find, findIndex, flatMap, map, mapValues, reduce, debounce, intersection, xor, uniq } from 'lodash'
 
 import { useSequenceContext, SoundStatus } from './context/sequence'
+import { generatorRanges, parse, ParseError, soundWordRanges } from './pattern/parser'
+import { describeCandidate } from './sounds/licenses'
+import { DefaultChoices, isLocked } from './sounds/selection'
+import { sourceWord } from './sounds/providers'
+import { soundWords } from './pattern/events'
+import { loadSetting, saveSetting } from './storage'
 
 
 let EntityKeyMap = {}
 let CurrentStepEntityKey = null
 
+// which words are locked to a sound (see sounds/selection.js)
+let SoundChoices = DefaultChoices
+// what's shown when hovering over a word, by word. that's where its sound came
+// from (see sounds/licenses.js), or why it couldn't be fetched.
+let SoundTitles = {}
+
+// the text of the composition is saved in local storage so it survives reloads
+const SavedCompositionKey = 'tr45h.composition'
+
+// the sound word of some decorated text, e.g. piano for piano:<C4 E4>
+const decoratedWord = text => {
+  const [range] = soundWordRanges(text)
+  return range ? range.word : text
+}
+
 // inline styles for sound word states
 const decorated = {
   searching: ({children}) => <span style={{ color: "#f9ff87" }}>{children}</span>,
   downloading: ({children}) => <span style={{ color: "#8dff87" }}>{children}</span>,
-  available:   ({children}) => <span style={{ color: "#85e4ff" }}>{children}</span>,
-  unavailable: ({children}) => <span style={{ color: "#ff8aab" }}>{children}</span>
+  available:   ({children, decoratedText}) => <span style={{ color: "#85e4ff", ...(isLocked(sourceWord(decoratedWord(decoratedText)), SoundChoices) ? { borderBottom: '1px dotted #85e4ff' } : {}) }} title={SoundTitles[decoratedWord(decoratedText)]}>{children}</span>,
+  unavailable: ({children}) => <span style={{ color: "#ff8aab" }}>{children}</span>,
+  error:       ({children, decoratedText}) => <span style={{ color: "#ffb86b" }} title={SoundTitles[decoratedWord(decoratedText)]}>{children}</span>,
+  // euclidean rhythms show the steps they expand to when hovered over, e.g. kick(3,8)
+  generator: ({children, contentState, blockKey, start}) => {
+    const range = find(generatorRanges(contentState.getBlockForKey(blockKey).getText()), r => r.start === start)
+    return <span style={{ borderBottom: '1px dotted #888' }} title={range && range.expansion}>{children}</span>
+  },
 }
 // const decoratedStep = {
 //   searching: ({children}) => <span style={{ color: "pink", borderBottom: '1px solid white'}}>{children}</span>,
@@ -67,6 +94,15 @@ const decorator = new CompositeDecorator([
     strategy: handleStrategy([SoundStatus.Unavailable]),
     component: decorated.unavailable,
   },
+  {
+    strategy: handleStrategy([SoundStatus.Error]),
+    component: decorated.error,
+  },
+  {
+    strategy: (contentBlock, callback) =>
+      generatorRanges(contentBlock.getText()).forEach(({ start, end }) => callback(start, end)),
+    component: decorated.generator,
+  },
   // {
   //   strategy: handleStepStrategy([SoundStatus.Searching]),
   //   component: decoratedStep.searching,
@@ -92,6 +128,14 @@ const keyBindingFn = e => {
   if (e.keyCode === 13) {
     return 'create-sequence'
   }
+  // detect Alt+R
+  if (e.altKey && e.keyCode === 82) {
+    return 'reroll-sound'
+  }
+  // detect Alt+L
+  if (e.altKey && e.keyCode === 76) {
+    return 'lock-sound'
+  }
   // detect Delete
   // if (e.keyCode === 8) {
   //   return 'delete-sound'
@@ -100,6 +144,13 @@ const keyBindingFn = e => {
   return getDefaultKeyBinding(e)
 }
 
+// the sound word which the given offset in a line of text is in (or just after),
+// e.g. the cursor in 'kick(vol=0.5) sn|are{dur<1}' is in 'snare{dur<1}'
+const wordAt = (text, offset) => {
+  const range = soundWordRanges(text).find(({ start, end }) => start <= offset && offset <= end)
+  return range ? range.word : null
+}
+
 const createEntities = (editorState) => {
   // add status entities
   const { contentState, ...entityMap} = reduce(
@@ -134,13 +185,23 @@ export const MusicEditor = props => {
   const {
     sequenceState,
     fetchNewSounds,
+    cancelSounds,
+    rerollSound,
+    toggleSoundLock,
+    soundChoices,
     sequenceDispatch,
-    currentSteps
+    currentSteps,
+    pendingSequences,
   } = useSequenceContext()
 
   // setup editor state
   const [editorState, setEditorState] = useState(
-    () => EditorState.createEmpty(decorator)
+    () => {
+      const saved = loadSetting(SavedCompositionKey)
+      return saved
+        ? EditorState.createWithContent(ContentState.createFromText(saved), decorator)
+        : EditorState.createEmpty(decorator)
+    }
   )
   const editorRef = useRef(null)
 
@@ -192,6 +253,9 @@ export const MusicEditor = props => {
   
   // update the status entity mapping for all text when the soundStatuses change
   useEffect(() => {
+    SoundTitles = mapValues(sequenceState.sounds, ({ reason, candidate }) => reason
+                            || [describeCandidate(candidate), candidate && candidate.page].filter(Boolean).join('\n'))
+
     // save the original selection state
     const oldSelection = editorState.getSelection()
     let newEditorState = editorState
@@ -199,45 +263,57 @@ export const MusicEditor = props => {
         
     // for all sound_words
     for (const block of contentState.getBlocksAsArray()) {
-      for (const [soundWord, {status}] of Object.entries(sequenceState.sounds)) {
-        const text = block.getText()
-        const re = new RegExp(`\\b${soundWord}\\b`, 'g')
-        const matches = [...text.matchAll(re)]
-        matches.forEach(match => {
-          const contentState = newEditorState.getCurrentContent()
-          // make selection based on matches
-          const selection = SelectionState
-                .createEmpty(block.getKey())
-                .merge({
-                  anchorOffset: match.index,
-                  focusOffset: match.index + match[0].length
-                })
-          const entityKey = EntityKeyMap[status]
-          const contentStateWithStatus = Modifier.applyEntity(
-            contentState,
-            selection,
-            entityKey,
-          )
-          newEditorState = EditorState.push(newEditorState, contentStateWithStatus, 'apply-entity')
-          newEditorState = EditorState.forceSelection(newEditorState, oldSelection)
-        })
+      for (const { word, start, end } of soundWordRanges(block.getText())) {
+        if (!sequenceState.sounds[word]) continue
+
+        const { status } = sequenceState.sounds[word]
+        const contentState = newEditorState.getCurrentContent()
+        // make a selection over the word
+        const selection = SelectionState
+              .createEmpty(block.getKey())
+              .merge({
+                anchorOffset: start,
+                focusOffset: end
+              })
+        const entityKey = EntityKeyMap[status]
+        const contentStateWithStatus = Modifier.applyEntity(
+          contentState,
+          selection,
+          entityKey,
+        )
+        newEditorState = EditorState.push(newEditorState, contentStateWithStatus, 'apply-entity')
+        newEditorState = EditorState.forceSelection(newEditorState, oldSelection)
       }
     }
     setEditorState(newEditorState)
   }, [sequenceState.sounds])
   
+  // draft only re-renders block styles and decorations when the editor state changes,
+  // so nudge it whenever lines become pending (or stop being pending) and words are locked
+  useEffect(() => {
+    SoundChoices = soundChoices
+    setEditorState(editorState => EditorState.forceSelection(editorState, editorState.getSelection()))
+  }, [pendingSequences, soundChoices])
+
   // auto focus on editor and create status entities on mount
   useEffect(() => {
     editorRef.current.focus()
 
     // create entities and entity map
     createEntities(editorState)
+
+    // start playing a saved composition straight away
+    if (editorState.getCurrentContent().hasText()) addSound(convertToRaw(editorState.getCurrentContent()))
   }, [])
 
+  useEffect(() => {
+    saveSetting(SavedCompositionKey, editorState.getCurrentContent().getPlainText())
+  }, [editorState])
+
   
   // to deal with stale closures
   const onNewSounds = sequences => {
-    const currSounds = uniq(flatMap(sequences, s => s.steps))
+    const currSounds = uniq(flatMap(sequences, s => soundWords(s.ast)))
     const prevSounds = keys(sequenceState.sounds)
     const sounds = {
       added:   intersection(xor(prevSounds, currSounds), currSounds),
@@ -249,6 +325,7 @@ export const MusicEditor = props => {
       sequences,
       sounds,
     })
+    cancelSounds(sounds.deleted)
     fetchNewSounds(sounds.added)
   }
 
@@ -260,11 +337,25 @@ export const MusicEditor = props => {
     )
 
     const nonEmptyBlocks = content.filter(o => o.text !== "")
-    const sequences =  nonEmptyBlocks.map(v => ({key: v.key, text: v.text, steps: v.text.split(" ")}))
+    const sequences = reduce(nonEmptyBlocks, (acc, v) => {
+      try {
+        return [...acc, {key: v.key, text: v.text, ast: parse(v.text)}]
+      } catch (err) {
+        if (!(err instanceof ParseError)) throw err
+
+        // this line is probably half typed (e.g. an unclosed group), so
+        // keep playing whatever was there before until it parses again.
+        const prev = find(sequenceState.sequences, s => s.key === v.key)
+        return prev ? [...acc, prev] : acc
+      }
+    }, [])
 
     onNewSounds(sequences)
   }
 
+  // mark lines which have edits waiting for the next quantization boundary
+  const blockStyleFn = block => pendingSequences[block.getKey()] ? 'pending-sequence' : ''
+
   const onChangeWrapper = newEditorState => {
     setEditorState(newEditorState)
   }
@@ -329,6 +420,16 @@ export const MusicEditor = props => {
     return newEditorState
   }
   
+  // calls fn with the sound word under the cursor, if there is one
+  const withWordAtCursor = fn => {
+    const selection = editorState.getSelection()
+    const text = editorState.getCurrentContent().getBlockForKey(selection.getFocusKey()).getText()
+    const word = wordAt(text, selection.getFocusOffset())
+
+    if (word && sequenceState.sounds[word]) fn(word)
+    return 'handled'
+  }
+
   const deleteSoundWord = () => {
     // todo
 
@@ -448,6 +549,10 @@ export const MusicEditor = props => {
       return createSequence()
     case 'delete-sound':
       return deleteSoundWord()
+    case 'reroll-sound':
+      return withWordAtCursor(rerollSound)
+    case 'lock-sound':
+      return withWordAtCursor(toggleSoundLock)
     default:
       return 'not-handled'
     }
@@ -461,6 +566,7 @@ export const MusicEditor = props => {
         onChange={onChangeWrapper}
         handleKeyCommand={handleActions}
         keyBindingFn={keyBindingFn}
+        blockStyleFn={blockStyleFn}
       />
       {/* <div style={{display: 'flex', justifyContent: 'space-between', marginTop: '10px', border: '1px red solid'}}> */}
       {/*   <div> */}
@@ -0,0 +1,271 @@
+import { isEqual, zip } from 'lodash'
+import { makeRandom } from './random'
+
+const FadeTime = 0.05      // crossfade time when rebuilding a chain (seconds)
+const SmoothingTime = 0.02 // time constant for smoothly changing params (seconds)
+const TailTime = 10        // how long to keep old nodes around so their tails can ring out (seconds)
+
+const DelayDefaults = { time: 1/8, feedback: 0.3 }
+const ReverbDefaults = { mix: 0.3, decay: 2 }
+
+// generates a stereo impulse response of exponentially decaying noise, which
+// is a cheap but convincing stand-in for a recorded room. the noise is seeded
+// so that the same reverb sounds the same in every render.
+const makeImpulse = (audioContext, decay) => {
+  const length = Math.max(1, Math.floor(audioContext.sampleRate * decay))
+  const impulse = audioContext.createBuffer(2, length, audioContext.sampleRate)
+  const random = makeRandom(length)
+
+  for (let channel = 0; channel < impulse.numberOfChannels; channel++) {
+    const data = impulse.getChannelData(channel)
+    for (let i = 0; i < length; i++) {
+      data[i] = (random() * 2 - 1) * Math.pow(1 - i / length, 3)
+    }
+  }
+
+  return impulse
+}
+
+// a soft clipping curve, amount goes from 0 (clean) to 1 (filthy)
+const makeDistortionCurve = amount => {
+  const k = amount * 100
+  const samples = 1024
+  const curve = new Float32Array(samples)
+
+  for (let i = 0; i < samples; i++) {
+    const x = i * 2 / samples - 1
+    curve[i] = (1 + k) * x / (1 + k * Math.abs(x))
+  }
+
+  return curve
+}
+
+const smoothly = (audioContext, param, value) =>
+      param.setTargetAtTime(value, audioContext.currentTime, SmoothingTime)
+
+const makeFilter = type => audioContext => {
+  const filter = audioContext.createBiquadFilter()
+  filter.type = type
+
+  return {
+    input: filter,
+    output: filter,
+    set: ({ freq = 1000, q = 1 }) => {
+      smoothly(audioContext, filter.frequency, freq)
+      smoothly(audioContext, filter.Q, q)
+      return true
+    },
+  }
+}
+
+// the delay time is a note value (e.g. 3/16) so it stays in time with the
+// music. its feedback loop is kept below 1 so it can't blow up.
+const makeDelay = (audioContext, transport) => {
+  const input = audioContext.createGain()
+  const output = audioContext.createGain()
+  const delay = audioContext.createDelay(5)
+  const feedback = audioContext.createGain()
+
+  input.connect(output)
+  input.connect(delay)
+  delay.connect(feedback)
+  feedback.connect(delay)
+  delay.connect(output)
+
+  return {
+    input,
+    output,
+    set: params => {
+      const { time, feedback: amount } = { ...DelayDefaults, ...params }
+      const beats = time * 4 // there are four beats in a whole note
+      smoothly(audioContext, delay.delayTime, Math.min(5, beats * 60.0 / transport.bpm))
+      smoothly(audioContext, feedback.gain, Math.max(0, Math.min(0.95, amount)))
+      return true
+    },
+  }
+}
+
+const makeReverb = audioContext => {
+  const input = audioContext.createGain()
+  const output = audioContext.createGain()
+  const dry = audioContext.createGain()
+  const wet = audioContext.createGain()
+  const convolver = audioContext.createConvolver()
+  let currentDecay = null
+
+  input.connect(dry)
+  input.connect(convolver)
+  convolver.connect(wet)
+  dry.connect(output)
+  wet.connect(output)
+
+  return {
+    input,
+    output,
+    set: params => {
+      const { mix, decay } = { ...ReverbDefaults, ...params }
+
+      // swapping impulses would click, so let the chain crossfade to a new reverb
+      if (currentDecay !== null && currentDecay !== decay) return false
+
+      if (currentDecay === null) {
+        convolver.buffer = makeImpulse(audioContext, decay)
+        currentDecay = decay
+      }
+      smoothly(audioContext, dry.gain, 1 - mix)
+      smoothly(audioContext, wet.gain, mix)
+      return true
+    },
+  }
+}
+
+const makeDistortion = audioContext => {
+  const shaper = audioContext.createWaveShaper()
+  shaper.oversample = '4x'
+  let currentAmount = null
+
+  return {
+    input: shaper,
+    output: shaper,
+    set: ({ amount = 0.5 }) => {
+      // swapping curves would click, so let the chain crossfade to a new shaper
+      if (currentAmount !== null && currentAmount !== amount) return false
+
+      shaper.curve = makeDistortionCurve(Math.max(0, Math.min(1, amount)))
+      currentAmount = amount
+      return true
+    },
+  }
+}
+
+const makeCompressor = audioContext => {
+  const compressor = audioContext.createDynamicsCompressor()
+
+  return {
+    input: compressor,
+    output: compressor,
+    set: ({ threshold = -24, ratio = 4 }) => {
+      smoothly(audioContext, compressor.threshold, threshold)
+      smoothly(audioContext, compressor.ratio, ratio)
+      return true
+    },
+  }
+}
+
+// factories for every effect in LineEffects (see pattern/parser.js). each one
+// returns { input, output, set } where set(params) updates the effect in place
+// and returns false if it can't do that without clicking.
+const EffectFactories = {
+  lpf: makeFilter('lowpass'),
+  hpf: makeFilter('highpass'),
+  bpf: makeFilter('bandpass'),
+  delay: makeDelay,
+  reverb: makeReverb,
+  dist: makeDistortion,
+  comp: makeCompressor,
+}
+
+// estimates how long (in seconds) a chain of effects keeps ringing after its
+// input goes quiet, i.e. until delays have decayed by 60dB and reverbs have ended
+export const estimateTail = (specs, bpm) => specs.reduce((tail, { name, params }) => {
+  switch (name) {
+  case 'delay':
+    const { time, feedback } = { ...DelayDefaults, ...params }
+    const delaySeconds = time * 4 * 60.0 / bpm
+    const repeats = feedback > 0 ? Math.log(0.001) / Math.log(Math.min(0.95, feedback)) : 1
+    return tail + delaySeconds * repeats
+  case 'reverb':
+    return tail + { ...ReverbDefaults, ...params }.decay
+  default:
+    return tail
+  }
+}, 0)
+
+// a chain of effects that a sequence is played through,
+//   input -> effect -> effect -> ... -> fader -> output
+//
+// when the effects of a line change, the chain is updated incrementally. if
+// only params have changed they are smoothly moved to their new values,
+// otherwise a new chain is built and crossfaded in.
+export class EffectChain {
+  constructor(audioContext, transport, specs = []) {
+    this.audioContext = audioContext
+    this.transport = transport
+    this.input = audioContext.createGain()
+    this.output = audioContext.createGain()
+    this.specs = specs
+    this.effects = []
+    this.fader = null
+
+    this.rebuild(specs)
+  }
+
+  // updates the chain to match a list of effect specs, e.g. [{ name: 'lpf', params: { freq: 800 } }]
+  update(specs = []) {
+    if (isEqual(specs, this.specs)) return
+
+    const sameShape = specs.length === this.effects.length
+          && zip(specs, this.specs).every(([a, b]) => a.name === b.name)
+    const updated = sameShape
+          && zip(specs, this.effects).every(([spec, effect]) => effect.set(spec.params))
+
+    if (!updated) this.rebuild(specs)
+    this.specs = specs
+  }
+
+  // re-applies all params, e.g. so tempo synced delays follow a new bpm
+  retime() {
+    zip(this.specs, this.effects).forEach(([spec, effect]) => effect.set(spec.params))
+  }
+
+  rebuild(specs) {
+    const now = this.audioContext.currentTime
+    const effects = specs.map(spec => {
+      const effect = EffectFactories[spec.name](this.audioContext, this.transport)
+      effect.set(spec.params)
+      return effect
+    })
+
+    // wire up the new chain with its own fader (which only needs to fade
+    // in if there is an old chain to crossfade from)
+    const fader = this.audioContext.createGain()
+    if (this.fader) {
+      fader.gain.setValueAtTime(0, now)
+      fader.gain.linearRampToValueAtTime(1, now + FadeTime)
+    }
+    const nodes = [this.input, ...effects.map(e => [e.input, e.output]), fader, this.output]
+    chainNodes(nodes)
+
+    // fade out and tear down the old chain
+    if (this.fader) {
+      const oldFader = this.fader
+      const oldEffects = this.effects
+      oldFader.gain.setValueAtTime(oldFader.gain.value, now)
+      oldFader.gain.linearRampToValueAtTime(0, now + FadeTime)
+      setTimeout(() => {
+        this.input.disconnect(oldEffects.length ? oldEffects[0].input : oldFader)
+        oldFader.disconnect()
+      }, FadeTime * 2000)
+    }
+
+    this.effects = effects
+    this.fader = fader
+  }
+
+  // disconnects the chain once anything still playing through it has rung out
+  dispose() {
+    setTimeout(() => {
+      this.input.disconnect()
+      this.output.disconnect()
+    }, TailTime * 1000)
+  }
+}
+
+// connects a list of nodes (or [input, output] pairs for effects) in series
+const chainNodes = nodes => {
+  for (let i = 0; i < nodes.length - 1; i++) {
+    const from = Array.isArray(nodes[i]) ? nodes[i][1] : nodes[i]
+    const to = Array.isArray(nodes[i + 1]) ? nodes[i + 1][0] : nodes[i + 1]
+    from.connect(to)
+  }
+}
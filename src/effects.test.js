@@ -0,0 +1,86 @@
+import { EffectChain, estimateTail } from './effects'
+import { fakeAudioContext } from './test/audioContext'
+
+describe('EffectChain', () => {
+  const setup = specs => {
+    const audioContext = fakeAudioContext()
+    const chain = new EffectChain(audioContext, { bpm: 120 }, specs)
+    return { audioContext, chain }
+  }
+
+  const lpf = freq => ({ name: 'lpf', params: { freq } })
+
+  test('sets params in place when only they change', () => {
+    const { chain } = setup([lpf(800), { name: 'delay', params: {} }])
+    const { effects, fader } = chain
+
+    chain.update([lpf(1200), { name: 'delay', params: { time: 3/16 } }])
+    expect(chain.effects).toBe(effects)
+    expect(chain.fader).toBe(fader)
+    expect(effects[0].input.frequency.value).toEqual(1200)
+  })
+
+  test('rebuilds and crossfades when the effects change', () => {
+    const { chain } = setup([lpf(800)])
+    const [filter] = chain.effects
+    const oldFader = chain.fader
+
+    chain.update([{ name: 'delay', params: {} }, lpf(800)])
+    expect(chain.effects).toHaveLength(2)
+    expect(chain.effects[1]).not.toBe(filter)
+    expect(chain.effects[1].input.frequency.value).toEqual(800)
+    expect(chain.fader).not.toBe(oldFader)
+    expect(chain.fader.gain.value).toEqual(1)
+    expect(oldFader.gain.value).toEqual(0)
+  })
+
+  test('leaves the chain alone when nothing changes', () => {
+    const { chain } = setup([lpf(800)])
+    const { effects, fader } = chain
+
+    chain.update([lpf(800)])
+    expect(chain.effects).toBe(effects)
+    expect(chain.fader).toBe(fader)
+  })
+
+  test('rebuilds rather than swap reverb impulses or distortion curves', () => {
+    const { chain } = setup([{ name: 'reverb', params: { decay: 0.5 } }, { name: 'dist', params: { amount: 0.5 } }])
+    const { effects } = chain
+
+    // the mix of the reverb can be moved in place
+    chain.update([{ name: 'reverb', params: { decay: 0.5, mix: 0.5 } }, { name: 'dist', params: { amount: 0.5 } }])
+    expect(chain.effects).toBe(effects)
+
+    chain.update([{ name: 'reverb', params: { decay: 1, mix: 0.5 } }, { name: 'dist', params: { amount: 0.5 } }])
+    expect(chain.effects).not.toBe(effects)
+
+    const rebuilt = chain.effects
+    chain.update([{ name: 'reverb', params: { decay: 1, mix: 0.5 } }, { name: 'dist', params: { amount: 0.8 } }])
+    expect(chain.effects).not.toBe(rebuilt)
+  })
+})
+
+describe('estimateTail', () => {
+  test('is nothing without delays or reverbs', () => {
+    expect(estimateTail([], 120)).toEqual(0)
+    expect(estimateTail([{ name: 'lpf', params: { freq: 800 } }], 120)).toEqual(0)
+  })
+
+  test('lasts as long as reverbs decay', () => {
+    expect(estimateTail([{ name: 'reverb', params: {} }], 120)).toEqual(2)
+    expect(estimateTail([{ name: 'reverb', params: { decay: 5 } }], 120)).toEqual(5)
+  })
+
+  test('lasts until delays have decayed by 60dB', () => {
+    // an eighth note at 120 bpm is a quarter of a second, and 0.1 takes three repeats to get to 0.001
+    expect(estimateTail([{ name: 'delay', params: { time: 1/8, feedback: 0.1 } }], 120)).toBeCloseTo(0.75)
+    expect(estimateTail([{ name: 'delay', params: { time: 1/8, feedback: 0.1 } }], 60)).toBeCloseTo(1.5)
+    expect(estimateTail([{ name: 'delay', params: { time: 1/8, feedback: 0 } }], 120)).toBeCloseTo(0.25)
+    expect(estimateTail([{ name: 'delay', params: { feedback: 1 } }], 120)).toBeLessThan(Infinity)
+  })
+
+  test('adds up the tails of every effect', () => {
+    const specs = [{ name: 'delay', params: { time: 1/8, feedback: 0.1 } }, { name: 'reverb', params: { decay: 2 } }]
+    expect(estimateTail(specs, 120)).toBeCloseTo(2.75)
+  })
+})
@@ -0,0 +1,111 @@
+import { max, values } from 'lodash'
+
+import { Sequence } from '../scheduler'
+import { Transport } from '../transport'
+import { Mixer } from '../mixer'
+import { ChokeGroups } from '../voices'
+import { estimateTail } from '../effects'
+import { encodeWav } from './wav'
+import { download } from './download'
+import { downloadCredits } from './credits'
+
+const ReleaseTime = 1         // extra room for the last notes to finish (seconds)
+const SilenceThreshold = 1e-4 // anything quieter than this at the end of a render is trimmed off
+
+// the lengths which can be picked in the toolbar
+export const BounceLengths = {
+  '1 bar': { bars: 1 },
+  '4 bars': { bars: 4 },
+  '8 bars': { bars: 8 },
+  '16 bars': { bars: 16 },
+  '1 cycle': { cycles: 1 },
+  '4 cycles': { cycles: 4 },
+}
+
+// the number of beats to bounce, given either a number of bars or a number
+// of cycles of the longest sequence
+export const bounceBeats = (patterns, { bars, cycles, beatsPerBar = 4 }) => {
+  if (bars !== undefined) return bars * beatsPerBar
+
+  const longestCycle = max(values(patterns).map(p => p.length * p.rate)) || 0
+  return cycles * longestCycle
+}
+
+// trims the silent end off of a rendered tail, but never cuts into the music itself
+export const trimTail = (audioContext, rendered, duration) => {
+  const start = Math.ceil(duration * rendered.sampleRate)
+  let end = start
+
+  for (let c = 0; c < rendered.numberOfChannels; c++) {
+    const data = rendered.getChannelData(c)
+    for (let i = data.length - 1; i > end; i--) {
+      if (Math.abs(data[i]) > SilenceThreshold) {
+        end = i + 1
+        break
+      }
+    }
+  }
+
+  const trimmed = audioContext.createBuffer(rendered.numberOfChannels, Math.max(1, end), rendered.sampleRate)
+  for (let c = 0; c < rendered.numberOfChannels; c++) {
+    trimmed.copyToChannel(rendered.getChannelData(c).subarray(0, end), c)
+  }
+  return trimmed
+}
+
+// how long to keep rendering after the last note so that everything can ring out (seconds)
+export const renderTail = (patterns, bpm) =>
+      ReleaseTime + (max(values(patterns).map(p => estimateTail(p.effects, bpm))) || 0)
+
+// renders patterns (by sequence key) through an OfflineAudioContext using the same
+// sequences, effects and mixer as live playback, so what you bounce is what you hear.
+// soundMap is the decoded AudioBuffers by sound word, the roots option the notes
+// they are at (see Scheduler.roots) and the seed what chances are rolled from. returns an AudioBuffer which
+// includes the tail of any delays or reverbs. the silent end of the tail is trimmed
+// off unless trim is false, so renders with the same tail have the same length.
+export const renderOffline = async (patterns, soundMap, options) => {
+  const {
+    bpm,
+    bars,
+    cycles,
+    beatsPerBar,
+    mixerSettings = {},
+    sampleRate = 44100,
+    tail = renderTail(patterns, bpm),
+    trim = true,
+    roots = Object.create(null),
+    seed = 0,
+  } = options
+
+  const duration = bounceBeats(patterns, { bars, cycles, beatsPerBar }) * 60.0 / bpm
+  const offlineContext = new OfflineAudioContext(2, Math.ceil((duration + tail) * sampleRate), sampleRate)
+
+  const transport = new Transport(offlineContext, bpm, beatsPerBar)
+  transport.startLatency = 0
+  transport.start()
+
+  const mixer = new Mixer(offlineContext, [offlineContext.destination])
+  mixer.setSettings(mixerSettings)
+
+  // lines share choke groups, just like they do when playing live
+  const chokes = new ChokeGroups()
+  for (const [key, pattern] of Object.entries(patterns)) {
+    const sequence = new Sequence(pattern, offlineContext, mixer.channel(key), () => {}, () => {}, transport, 0, chokes, seed)
+    sequence.setSoundMap(soundMap, roots)
+    await sequence.schedule(duration)
+  }
+
+  const rendered = await offlineContext.startRendering()
+  return trim ? trimTail(offlineContext, rendered, duration) : rendered
+}
+
+// bounces a snapshot of the scheduler (see Scheduler.snapshot) to a WAV file and
+// downloads it, along with the credits for its sounds (see export/credits.js).
+// options are { bars } or { cycles }, and a bitDepth of 16 or 24.
+export const bounceWav = async (snapshot, { bitDepth = 16, ...length }) => {
+  const { patterns, soundMap, roots, seed, bpm, beatsPerBar, mixerSettings, filename } = snapshot
+  const rendered = await renderOffline(patterns, soundMap, { bpm, beatsPerBar, mixerSettings, roots, seed, ...length })
+
+  download(new Blob([encodeWav(rendered, { bitDepth })], { type: 'audio/wav' }), `${filename}.wav`)
+  downloadCredits(snapshot)
+}
@@ -0,0 +1,65 @@
+import { bounceBeats, renderTail, trimTail } from './bounce'
+import { parse } from '../pattern/parser'
+import { compile } from '../pattern/events'
+import { fakeAudioContext } from '../test/audioContext'
+import { fakeBuffer } from '../test/buffers'
+
+// compiles the text of each line by key
+const lines = texts => Object.entries(texts).reduce((acc, [key, text]) => ({ ...acc, [key]: compile(parse(text)) }), {})
+
+describe('bounceBeats', () => {
+  test('counts the beats in a number of bars', () => {
+    expect(bounceBeats(lines({ a: 'kick snare' }), { bars: 2 })).toEqual(8)
+    expect(bounceBeats(lines({ a: 'kick snare' }), { bars: 2, beatsPerBar: 3 })).toEqual(6)
+  })
+
+  test('counts the beats in cycles of the longest line', () => {
+    expect(bounceBeats(lines({ a: 'kick snare', b: 'hat hat hat' }), { cycles: 2 })).toEqual(6)
+    expect(bounceBeats(lines({ a: '@2 kick snare', b: 'hat hat hat' }), { cycles: 1 })).toEqual(4)
+    expect(bounceBeats(lines({ a: '@1/4 kick snare' }), { cycles: 4 })).toEqual(2)
+  })
+
+  test('is nothing without any lines', () => {
+    expect(bounceBeats({}, { cycles: 4 })).toEqual(0)
+  })
+})
+
+describe('renderTail', () => {
+  test('leaves room for the last notes to finish', () => {
+    expect(renderTail(lines({ a: 'kick snare | lpf 800' }), 120)).toEqual(1)
+    expect(renderTail({}, 120)).toEqual(1)
+  })
+
+  test('lets the effects of the line which rings out longest ring out', () => {
+    expect(renderTail(lines({ a: 'kick | reverb 0.3 4', b: 'hat | delay 1/8 0.1' }), 120)).toBeCloseTo(5)
+    expect(renderTail(lines({ a: 'kick | delay 1/8 0.1 | reverb 0.3 2' }), 120)).toBeCloseTo(3.75)
+    expect(renderTail(lines({ a: 'kick | delay 1/8 0.1 | reverb 0.3 2' }), 60)).toBeCloseTo(4.5)
+  })
+})
+
+describe('trimTail', () => {
+  // ten samples a second, so a sample is a tenth of a second
+  const render = channels => fakeBuffer(channels, 10)
+
+  test('trims the silence off the end of the tail', () => {
+    const rendered = render([
+      [1, 1, 1, 0, 0.5, 0, 0, 0, 0, 0],
+      [1, 1, 1, 0, 0, 0, 0.5, 0, 1e-5, 0],
+    ])
+    const trimmed = trimTail(fakeAudioContext(), rendered, 0.3)
+
+    expect(trimmed.length).toEqual(7)
+    expect(trimmed.numberOfChannels).toEqual(2)
+    expect(Array.from(trimmed.getChannelData(0))).toEqual([1, 1, 1, 0, 0.5, 0, 0])
+    expect(Array.from(trimmed.getChannelData(1))).toEqual([1, 1, 1, 0, 0, 0, 0.5])
+  })
+
+  test('never cuts into the music', () => {
+    const rendered = render([[1, 0, 0, 0, 0, 0, 0, 0, 0, 0]])
+    expect(trimTail(fakeAudioContext(), rendered, 0.5).length).toEqual(5)
+  })
+
+  test('keeps a sample of silence rather than none', () => {
+    expect(trimTail(fakeAudioContext(), render([new Array(10).fill(0)]), 0).length).toEqual(1)
+  })
+})
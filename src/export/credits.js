@@ -0,0 +1,46 @@
+import { flatMap, uniq, values } from 'lodash'
+
+import { isNonCommercial, parseLicense } from '../sounds/licenses'
+import { download } from './download'
+
+// the sound words used in a set of patterns (by sequence key), in the order they first appear
+export const usedWords = patterns => uniq(flatMap(values(patterns), p => p.events.map(e => e.word)))
+
+// the words used in patterns whose sounds can't be used in anything which is sold.
+// candidates are what each word's sound came from, by word (see sounds/providers.js).
+export const nonCommercialWords = (patterns, candidates) =>
+  usedWords(patterns).filter(word => isNonCommercial(candidates[word]))
+
+const creditLines = (word, candidate) => {
+  if (!candidate) return [word, '  unknown source']
+
+  const license = parseLicense(candidate.license)
+  return [
+    word,
+    `  "${candidate.name}"${candidate.author ? ` by ${candidate.author}` : ''}`,
+    ...(candidate.page ? [`  ${candidate.page}`] : []),
+    `  license: ${license ? [license.name, license.url].filter(Boolean).join(', ') : 'unknown'}`,
+  ]
+}
+
+// the text of a credits file for a snapshot of the scheduler (see Scheduler.snapshot),
+// listing where every sound it uses came from and under which license.
+export const makeCredits = ({ patterns, candidates = {}, filename = 'untitled' }) => {
+  const words = usedWords(patterns)
+  const nonCommercial = nonCommercialWords(patterns, candidates)
+
+  return [
+    `credits for "${filename}"`,
+    '',
+    'sounds under licenses which require attribution must be credited wherever this is shared.',
+    '',
+    ...flatMap(words, word => [...creditLines(word, candidates[word]), '']),
+    ...(nonCommercial.length
+        ? [`these sounds are licensed for non-commercial use only: ${nonCommercial.join(', ')}`, '']
+        : []),
+  ].join('\n')
+}
+
+// downloads the credits for a snapshot alongside an export of it
+export const downloadCredits = snapshot =>
+  download(new Blob([makeCredits(snapshot)], { type: 'text/plain' }), `${snapshot.filename} credits.txt`)
@@ -0,0 +1,68 @@
+import { makeCredits, nonCommercialWords, usedWords } from './credits'
+
+const pattern = words => ({ events: words.map(word => ({ word })), length: words.length, rate: 1 })
+
+const patterns = {
+  a: pattern(['kick', 'hat', 'kick']),
+  b: pattern(['snare', 'synth:clap']),
+}
+
+const candidates = {
+  kick: {
+    id: 1,
+    name: 'kick.wav',
+    author: 'someone',
+    license: 'http://creativecommons.org/licenses/by/3.0/',
+    page: 'https://freesound.org/people/someone/sounds/1/',
+  },
+  hat: { id: 2, name: 'hat.wav', author: 'nobody', license: 'http://creativecommons.org/licenses/by-nc/3.0/' },
+  snare: { id: 3, name: 'snare.wav', author: 'anyone', license: 'http://creativecommons.org/publicdomain/zero/1.0/' },
+  'synth:clap': { id: 'synth:clap', name: 'synth clap', license: 'generated' },
+  unused: { id: 4, name: 'unused.wav', license: 'http://creativecommons.org/licenses/by-nc/3.0/' },
+}
+
+describe('usedWords', () => {
+  test('lists each word once', () => {
+    expect(usedWords(patterns)).toEqual(['kick', 'hat', 'snare', 'synth:clap'])
+  })
+})
+
+describe('nonCommercialWords', () => {
+  test('only looks at the words which are used', () => {
+    expect(nonCommercialWords(patterns, candidates)).toEqual(['hat'])
+  })
+})
+
+describe('makeCredits', () => {
+  test('credits every sound which is used', () => {
+    expect(makeCredits({ patterns, candidates, filename: 'kick hat' }).split('\n')).toEqual([
+      'credits for "kick hat"',
+      '',
+      'sounds under licenses which require attribution must be credited wherever this is shared.',
+      '',
+      'kick',
+      '  "kick.wav" by someone',
+      '  https://freesound.org/people/someone/sounds/1/',
+      '  license: CC BY 3.0, http://creativecommons.org/licenses/by/3.0/',
+      '',
+      'hat',
+      '  "hat.wav" by nobody',
+      '  license: CC BY-NC 3.0, http://creativecommons.org/licenses/by-nc/3.0/',
+      '',
+      'snare',
+      '  "snare.wav" by anyone',
+      '  license: CC0 1.0, http://creativecommons.org/publicdomain/zero/1.0/',
+      '',
+      'synth:clap',
+      '  "synth clap"',
+      '  license: generated',
+      '',
+      'these sounds are licensed for non-commercial use only: hat',
+      '',
+    ])
+  })
+
+  test('owns up to sounds it knows nothing about', () => {
+    expect(makeCredits({ patterns: { a: pattern(['kick']) } })).toContain('kick\n  unknown source\n')
+  })
+})
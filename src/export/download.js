@@ -0,0 +1,13 @@
+// makes the browser download a blob as a file with the given name
+export const download = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.style.display = 'none'
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+
+  window.URL.revokeObjectURL(url)
+  document.body.removeChild(a)
+}
@@ -0,0 +1,139 @@
+import { flatMap, uniq, values } from 'lodash'
+
+import { bounceBeats } from './bounce'
+import { eventRandom, playsOn } from '../pattern/events'
+import { cycleEvents } from '../pattern/transforms'
+import { download } from './download'
+
+const TicksPerBeat = 480
+const FirstNote = 36  // sound words are numbered from here, which is a kick in general midi
+const DrumChannel = 9 // so the notes land on a drum kit wherever the file is opened
+const NoteChannel = 0 // where sounds played at notes go instead, e.g. piano:C4
+const Velocity = 100  // velocity of a note at vol=1
+
+// variable length quantities store 7 bits per byte, with the high
+// bit set on every byte except the last
+const varLength = value => {
+  const bytes = [value & 0x7f]
+  while ((value >>= 7) > 0) bytes.unshift((value & 0x7f) | 0x80)
+  return bytes
+}
+
+const textBytes = text => Array.from(new TextEncoder().encode(text))
+
+const metaEvent = (tick, type, data) => ({ tick, bytes: [0xff, type, ...varLength(data.length), ...data] })
+const textEvent = (tick, type, text) => metaEvent(tick, type, textBytes(text))
+
+// events are { tick, bytes } with absolute ticks, which get sorted and written with delta times
+const encodeTrack = events => {
+  const sorted = events
+        .map((event, idx) => ({ ...event, idx }))
+        .sort((a, b) => a.tick - b.tick || a.idx - b.idx)
+
+  let lastTick = 0
+  const data = flatMap(sorted, ({ tick, bytes }) => {
+    const delta = tick - lastTick
+    lastTick = tick
+    return [...varLength(delta), ...bytes]
+  })
+  data.push(0x00, 0xff, 0x2f, 0x00) // end of track
+
+  return [
+    0x4d, 0x54, 0x72, 0x6b, // MTrk
+    (data.length >>> 24) & 0xff, (data.length >>> 16) & 0xff, (data.length >>> 8) & 0xff, data.length & 0xff,
+    ...data,
+  ]
+}
+
+const isPitched = event => event.params.note !== undefined
+
+// gives every distinct sound word in the composition its own note number,
+// in the order they first appear, e.g. { kick: 36, hat: 37 }. words which are
+// only ever played at notes don't need one, since they're written at those notes.
+export const noteMap = patterns => {
+  const words = uniq(flatMap(values(patterns), p => p.events.filter(e => !isPitched(e)).map(e => e.word)))
+  return words.reduce((acc, word, idx) => ({ ...acc, [word]: Math.min(127, FirstNote + idx) }), {})
+}
+
+// the note on/off events of a single line, repeated for as many beats as are being exported.
+// each note lasts as long as its step so that rests (_) come out as gaps. sounds played
+// at notes (including chords) go on their own channel at those notes, shifted by their pitch.
+// steps which only play sometimes are left out of the cycles they don't play on, and every
+// cycle goes through the line's transforms, just like when it's played with the same seed.
+const noteEvents = (pattern, notes, beats, seed) => {
+  const { length, rate } = pattern
+  const cycleBeats = length * rate
+  if (cycleBeats <= 0) return []
+
+  const result = []
+  for (let cycle = 0; cycle * cycleBeats < beats; cycle++) {
+    for (const [idx, event] of cycleEvents(pattern, cycle, seed).entries()) {
+      const { word, time, duration, params } = event
+      const beat = cycle * cycleBeats + time * rate
+      if (beat >= beats) break
+      if (!playsOn(event, cycle, eventRandom(seed, cycle, idx, event))) continue
+
+      const on = Math.round(beat * TicksPerBeat)
+      const off = Math.max(on + 1, Math.round(Math.min(beats, beat + duration * rate) * TicksPerBeat))
+      const velocity = Math.max(1, Math.min(127, Math.round(Velocity * (params.vol === undefined ? 1 : params.vol))))
+
+      const [channel, note] = isPitched(event)
+            ? [NoteChannel, Math.max(0, Math.min(127, Math.round(params.note + (params.pitch || 0))))]
+            : [DrumChannel, notes[word]]
+
+      // note offs go before note ons on the same tick, so repeated notes aren't cut short
+      result.push({ tick: off, order: 0, bytes: [0x80 | channel, note, 0] })
+      result.push({ tick: on, order: 1, bytes: [0x90 | channel, note, velocity] })
+    }
+  }
+
+  return result.sort((a, b) => a.tick - b.tick || a.order - b.order)
+}
+
+// encodes patterns (by sequence key) as a Type-1 standard midi file, with a
+// tempo track followed by a track for each line. the note number of each sound
+// word is written as a marker on the tempo track and as text on every track
+// which uses it. options are { bars } or { cycles } like bounces are, and the seed
+// which chances are rolled from.
+export const encodeMidi = (patterns, options) => {
+  const { bpm, beatsPerBar = 4, texts = {}, name = 'untitled', bars, cycles, seed = 0 } = options
+  const beats = bounceBeats(patterns, { bars, cycles, beatsPerBar })
+  const notes = noteMap(patterns)
+
+  const microsPerBeat = Math.round(60000000 / bpm)
+  const tempoTrack = [
+    textEvent(0, 0x03, name),
+    metaEvent(0, 0x51, [(microsPerBeat >> 16) & 0xff, (microsPerBeat >> 8) & 0xff, microsPerBeat & 0xff]),
+    metaEvent(0, 0x58, [beatsPerBar, 2, 24, 8]), // beatsPerBar/4
+    ...Object.entries(notes).map(([word, note]) => textEvent(0, 0x06, `${word}=${note}`)),
+  ]
+
+  const lineTracks = Object.entries(patterns).map(([key, pattern]) => {
+    const words = uniq(pattern.events.filter(e => !isPitched(e)).map(e => e.word))
+    return [
+      textEvent(0, 0x03, texts[key] || key),
+      ...words.map(word => textEvent(0, 0x01, `${word}=${notes[word]}`)),
+      ...noteEvents(pattern, notes, beats, seed),
+    ]
+  })
+
+  const tracks = [tempoTrack, ...lineTracks]
+  const header = [
+    0x4d, 0x54, 0x68, 0x64, // MThd
+    0, 0, 0, 6,
+    0, 1, // type 1, i.e. simultaneous tracks
+    (tracks.length >> 8) & 0xff, tracks.length & 0xff,
+    (TicksPerBeat >> 8) & 0xff, TicksPerBeat & 0xff,
+  ]
+
+  return new Uint8Array([...header, ...flatMap(tracks, encodeTrack)])
+}
+
+// exports a snapshot of the scheduler (see Scheduler.snapshot) as a midi
+// file and downloads it. options are { bars } or { cycles }.
+export const exportMidi = (snapshot, length) => {
+  const { patterns, bpm, beatsPerBar, texts, filename, seed } = snapshot
+  const midi = encodeMidi(patterns, { bpm, beatsPerBar, texts, name: filename, seed, ...length })
+
+  download(new Blob([midi], { type: 'audio/midi' }), `${filename}.mid`)
+}
@@ -0,0 +1,140 @@
+/**
+ * @jest-environment node
+ */
+
+import { encodeMidi, noteMap } from './midi'
+import { parse } from '../pattern/parser'
+import { compile } from '../pattern/events'
+
+const patterns = lines => lines.reduce((acc, line, idx) => ({ ...acc, [idx]: compile(parse(line)) }), {})
+
+// reads the tracks of a midi file back into lists of { tick, status, data } events
+const readMidi = bytes => {
+  const view = new DataView(bytes.buffer)
+  const header = { format: view.getUint16(8), tracks: view.getUint16(10), ticksPerBeat: view.getUint16(12) }
+  const tracks = []
+  let offset = 14
+
+  const readVarLength = () => {
+    let value = 0
+    let byte
+    do {
+      byte = bytes[offset++]
+      value = (value << 7) | (byte & 0x7f)
+    } while (byte & 0x80)
+    return value
+  }
+
+  while (offset < bytes.length) {
+    const end = offset + 8 + view.getUint32(offset + 4)
+    const events = []
+    let tick = 0
+    offset += 8
+
+    while (offset < end) {
+      tick += readVarLength()
+      const status = bytes[offset++]
+      if (status === 0xff) {
+        const type = bytes[offset++]
+        const length = readVarLength()
+        events.push({ tick, status, type, data: Array.from(bytes.slice(offset, offset + length)) })
+        offset += length
+      } else {
+        events.push({ tick, status, data: Array.from(bytes.slice(offset, offset + 2)) })
+        offset += 2
+      }
+    }
+    tracks.push(events)
+  }
+
+  return { header, tracks }
+}
+
+const text = event => new TextDecoder().decode(new Uint8Array(event.data))
+const notes = track => track.filter(e => e.status !== 0xff).map(({ tick, status, data }) => [tick, status, ...data])
+
+describe('noteMap', () => {
+  test('numbers sound words in the order they first appear', () => {
+    expect(noteMap(patterns(['kick hat', 'snare kick']))).toEqual({ kick: 36, hat: 37, snare: 38 })
+  })
+
+  test('leaves out words which are only played at notes', () => {
+    expect(noteMap(patterns(['piano:C4 kick+piano:<E4 G4>']))).toEqual({ kick: 36 })
+  })
+})
+
+describe('encodeMidi', () => {
+  test('writes a type 1 file with a tempo track and a track per line', () => {
+    const { header, tracks } = readMidi(encodeMidi(patterns(['kick', 'hat hat']), {
+      bpm: 120,
+      bars: 1,
+      texts: { 0: 'kick', 1: 'hat hat' },
+      name: 'kick hat',
+    }))
+
+    expect(header).toEqual({ format: 1, tracks: 3, ticksPerBeat: 480 })
+
+    const tempo = tracks[0].find(e => e.type === 0x51)
+    expect(tempo.data).toEqual([0x07, 0xa1, 0x20]) // 500000us per beat
+    expect(tracks[0].filter(e => e.type === 0x06).map(text)).toEqual(['kick=36', 'hat=37'])
+
+    expect(text(tracks[2].find(e => e.type === 0x03))).toEqual('hat hat')
+    expect(tracks[2].filter(e => e.type === 0x01).map(text)).toEqual(['hat=37'])
+  })
+
+  test('repeats each line and leaves gaps for rests', () => {
+    const { tracks } = readMidi(encodeMidi(patterns(['kick _ kick(vol=0.5) _']), { bpm: 120, bars: 2 }))
+
+    expect(notes(tracks[1])).toEqual([
+      [0, 0x99, 36, 100],
+      [480, 0x89, 36, 0],
+      [960, 0x99, 36, 50],
+      [1440, 0x89, 36, 0],
+      [1920, 0x99, 36, 100],
+      [2400, 0x89, 36, 0],
+      [2880, 0x99, 36, 50],
+      [3360, 0x89, 36, 0],
+    ])
+  })
+
+  test('respects the step rate of a line', () => {
+    const { tracks } = readMidi(encodeMidi(patterns(['@1/2 hat hat']), { bpm: 120, cycles: 1 }))
+
+    expect(notes(tracks[1])).toEqual([
+      [0, 0x99, 36, 100],
+      [240, 0x89, 36, 0],
+      [240, 0x99, 36, 100],
+      [480, 0x89, 36, 0],
+    ])
+  })
+  test('writes stacks and chords as notes on the same tick', () => {
+    const { tracks } = readMidi(encodeMidi(patterns(['kick+clap piano:<C4 E4>(pitch=+2)']), { bpm: 120, cycles: 1 }))
+
+    expect(notes(tracks[1])).toEqual([
+      [0, 0x99, 36, 100],
+      [0, 0x99, 37, 100],
+      [480, 0x89, 36, 0],
+      [480, 0x89, 37, 0],
+      [480, 0x90, 62, 100],
+      [480, 0x90, 66, 100],
+      [960, 0x80, 62, 0],
+      [960, 0x80, 66, 0],
+    ])
+  })
+  test('leaves out steps on the cycles they do not play on', () => {
+    const { tracks } = readMidi(encodeMidi(patterns(['<kick snare>']), { bpm: 120, cycles: 4 }))
+    expect(notes(tracks[1]).filter(([, status]) => status === 0x99).map(([tick, , note]) => [tick, note])).toEqual([
+      [0, 36], [480, 37], [960, 36], [1440, 37],
+    ])
+
+    const hats = seed => notes(readMidi(encodeMidi(patterns(['hat?0.5']), { bpm: 120, cycles: 32, seed })).tracks[1])
+    expect(hats(7)).toEqual(hats(7))
+    expect(hats(7)).not.toEqual(hats(8))
+  })
+  test('plays every cycle through the transforms of its line', () => {
+    const { tracks } = readMidi(encodeMidi(patterns(['kick snare | every 2 rev']), { bpm: 120, cycles: 2 }))
+    expect(notes(tracks[1]).filter(([, status]) => status === 0x99).map(([tick, , note]) => [tick, note])).toEqual([
+      [0, 37], [480, 36], [960, 36], [1440, 37],
+    ])
+  })
+})
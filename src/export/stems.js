@@ -0,0 +1,113 @@
+import { mapValues, max, values } from 'lodash'
+
+import { renderOffline, renderTail } from './bounce'
+import { encodeWav } from './wav'
+import { makeZip } from './zip'
+import { download } from './download'
+import { makeCredits } from './credits'
+
+// what gets exported when bouncing or recording
+export const StemModes = {
+  Off: 'mix only',
+  Stems: 'stems',
+  StemsAndMix: 'stems + mix',
+}
+
+// turns a line of text into something which is safe to use as a filename
+const safeName = text => text.replace(/[^\w\-+ ]+/g, '_').trim().slice(0, 40) || 'untitled'
+
+// zips up a set of rendered stems (by sequence key) and an optional mixdown, along
+// with a manifest describing where everything came from and the text of the credits
+// for its sounds (see export/credits.js). the seed which chances were rolled from is
+// kept so the take can be made again. all of the buffers must start on bar 1 of
+// the song. returns the bytes of the zip.
+export const packStems = ({ stems, mixdown, texts, bpm, beatsPerBar, bitDepth, source, credits = null, seed = null }) => {
+  const files = []
+  const manifest = {
+    source,
+    bpm,
+    beatsPerBar,
+    seed,
+    sampleRate: (mixdown || values(stems)[0] || {}).sampleRate,
+    stems: [],
+  }
+
+  Object.entries(stems).forEach(([key, buffer], idx) => {
+    const text = texts[key] || ''
+    const file = `stems/${String(idx + 1).padStart(2, '0')} ${safeName(text)}.wav`
+    files.push({ name: file, data: encodeWav(buffer, { bitDepth }) })
+    manifest.stems.push({
+      file,
+      key,
+      text,
+      seconds: buffer.length / buffer.sampleRate,
+      beats: buffer.length / buffer.sampleRate * bpm / 60.0,
+    })
+  })
+
+  if (mixdown) {
+    files.push({ name: 'mixdown.wav', data: encodeWav(mixdown, { bitDepth }) })
+    manifest.mixdown = {
+      file: 'mixdown.wav',
+      seconds: mixdown.length / mixdown.sampleRate,
+      beats: mixdown.length / mixdown.sampleRate * bpm / 60.0,
+    }
+  }
+
+  if (credits) files.push({ name: 'credits.txt', data: credits })
+  files.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) })
+  return makeZip(files)
+}
+
+// renders every line of a snapshot (see Scheduler.snapshot) to its own stem offline,
+// and downloads them as a zip. stems are rendered with their channel gain and pan,
+// but ignore mute and solo so every line gets exported.
+export const bounceStems = async (snapshot, { bitDepth = 16, stemMode = StemModes.Stems, ...length }) => {
+  const { patterns, soundMap, roots, seed, bpm, beatsPerBar, mixerSettings, texts, filename } = snapshot
+
+  // every stem shares the same tail so they all come out the same length
+  const tail = renderTail(patterns, bpm)
+  const options = { bpm, beatsPerBar, roots, seed, tail, trim: false, ...length }
+
+  const stems = {}
+  for (const [key, pattern] of Object.entries(patterns)) {
+    stems[key] = await renderOffline(
+      { [key]: { ...pattern, mute: false, solo: false } },
+      soundMap,
+      { ...options, mixerSettings: { [key]: { ...mixerSettings[key], mute: false, solo: false } } },
+    )
+  }
+
+  const mixdown = stemMode === StemModes.StemsAndMix
+        ? await renderOffline(patterns, soundMap, { ...options, mixerSettings })
+        : null
+
+  const credits = makeCredits(snapshot)
+  const zip = packStems({ stems, mixdown, texts, bpm, beatsPerBar, bitDepth, source: 'offline', credits, seed })
+  download(new Blob([zip], { type: 'application/zip' }), `${filename}.zip`)
+}
+
+// recorder-js hands back recordings as a list of Float32Arrays (one per channel),
+// this wraps them up to look like an AudioBuffer, dropping the first offset samples
+export const recordingToBuffer = (channels, sampleRate, offset = 0) => {
+  const trimmed = channels.map(data => data.subarray(Math.min(data.length, offset)))
+  return {
+    numberOfChannels: trimmed.length,
+    sampleRate,
+    length: max(trimmed.map(data => data.length)) || 0,
+    getChannelData: c => trimmed[c],
+  }
+}
+
+// downloads live recorded stems (and an optional mixdown) as a zip. recordings is
+// { mixdown, stems: { key: channels } } straight from recorder-js, and offset is
+// the number of samples before bar 1 which should be dropped from each of them.
+// credits is the text of the credits for what was recorded (see export/credits.js).
+export const downloadRecordedStems = (recordings, options) => {
+  const { sampleRate, offset, texts, bpm, beatsPerBar, bitDepth, filename, credits, seed } = options
+  const stems = mapValues(recordings.stems, channels => recordingToBuffer(channels, sampleRate, offset))
+  const mixdown = recordings.mixdown ? recordingToBuffer(recordings.mixdown, sampleRate, offset) : null
+
+  const zip = packStems({ stems, mixdown, texts, bpm, beatsPerBar, bitDepth, source: 'recording', credits, seed })
+  download(new Blob([zip], { type: 'application/zip' }), `${filename}.zip`)
+}
@@ -0,0 +1,95 @@
+/**
+ * @jest-environment node
+ */
+
+import { packStems, recordingToBuffer } from './stems'
+import { silentBuffer } from '../test/buffers'
+
+// finds the names and contents of the files in a store-only zip
+const unzip = bytes => {
+  const view = new DataView(bytes.buffer)
+  const files = {}
+  let offset = 0
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true)
+    const nameLength = view.getUint16(offset + 26, true)
+    const name = new TextDecoder().decode(bytes.slice(offset + 30, offset + 30 + nameLength))
+    files[name] = bytes.slice(offset + 30 + nameLength, offset + 30 + nameLength + size)
+    offset += 30 + nameLength + size
+  }
+  return files
+}
+
+describe('packStems', () => {
+  test('zips a wav per line with a manifest', () => {
+    const zip = packStems({
+      stems: { a: silentBuffer(16000, 8000), b: silentBuffer(16000, 8000) },
+      mixdown: silentBuffer(16000, 8000),
+      texts: { a: 'kick*4 | lpf 800', b: 'hat/../[snare]' },
+      bpm: 120,
+      beatsPerBar: 4,
+      bitDepth: 16,
+      source: 'offline',
+    })
+    const files = unzip(zip)
+
+    expect(Object.keys(files)).toEqual([
+      'stems/01 kick_4 _ lpf 800.wav',
+      'stems/02 hat_snare_.wav',
+      'mixdown.wav',
+      'manifest.json',
+    ])
+
+    const manifest = JSON.parse(new TextDecoder().decode(files['manifest.json']))
+    expect(manifest).toMatchObject({ source: 'offline', bpm: 120, beatsPerBar: 4, sampleRate: 8000 })
+    expect(manifest.stems[1]).toEqual({
+      file: 'stems/02 hat_snare_.wav',
+      key: 'b',
+      text: 'hat/../[snare]',
+      seconds: 2,
+      beats: 4,
+    })
+    expect(manifest.mixdown.file).toEqual('mixdown.wav')
+  })
+
+  test('includes the credits', () => {
+    const files = unzip(packStems({
+      stems: { a: silentBuffer(100, 8000) },
+      mixdown: null,
+      texts: { a: 'kick' },
+      bpm: 120,
+      beatsPerBar: 4,
+      bitDepth: 16,
+      source: 'recording',
+      credits: 'credits for "kick"',
+    }))
+
+    expect(Object.keys(files)).toEqual(['stems/01 kick.wav', 'credits.txt', 'manifest.json'])
+    expect(new TextDecoder().decode(files['credits.txt'])).toEqual('credits for "kick"')
+  })
+
+  test('leaves out the mixdown when there is none', () => {
+    const zip = packStems({
+      stems: { a: silentBuffer(100, 8000) },
+      mixdown: null,
+      texts: {},
+      bpm: 120,
+      beatsPerBar: 4,
+      bitDepth: 24,
+      source: 'recording',
+    })
+    const files = unzip(zip)
+
+    expect(Object.keys(files)).toEqual(['stems/01 untitled.wav', 'manifest.json'])
+  })
+})
+
+describe('recordingToBuffer', () => {
+  test('drops the lead in before the first bar', () => {
+    const buffer = recordingToBuffer([new Float32Array([0, 0, 1, 2]), new Float32Array([0, 0, 3, 4])], 44100, 2)
+
+    expect(buffer.length).toEqual(2)
+    expect(buffer.numberOfChannels).toEqual(2)
+    expect(Array.from(buffer.getChannelData(1))).toEqual([3, 4])
+  })
+})
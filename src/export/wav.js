@@ -0,0 +1,55 @@
+// encodes an AudioBuffer (or anything shaped like one) as a PCM WAV file.
+// bitDepth can be 16 or 24. returns an ArrayBuffer.
+export const encodeWav = (audioBuffer, { bitDepth = 16 } = {}) => {
+  if (bitDepth !== 16 && bitDepth !== 24) throw new Error(`unsupported bit depth ${bitDepth}`)
+
+  const { numberOfChannels, sampleRate, length } = audioBuffer
+  const bytesPerSample = bitDepth / 8
+  const blockAlign = numberOfChannels * bytesPerSample
+  const dataSize = length * blockAlign
+  const view = new DataView(new ArrayBuffer(44 + dataSize))
+
+  const writeString = (offset, string) => {
+    for (let i = 0; i < string.length; i++) view.setUint8(offset + i, string.charCodeAt(i))
+  }
+
+  // RIFF header
+  writeString(0, 'RIFF')
+  view.setUint32(4, 36 + dataSize, true)
+  writeString(8, 'WAVE')
+
+  // format chunk
+  writeString(12, 'fmt ')
+  view.setUint32(16, 16, true)                       // chunk size
+  view.setUint16(20, 1, true)                        // PCM
+  view.setUint16(22, numberOfChannels, true)
+  view.setUint32(24, sampleRate, true)
+  view.setUint32(28, sampleRate * blockAlign, true)  // byte rate
+  view.setUint16(32, blockAlign, true)
+  view.setUint16(34, bitDepth, true)
+
+  // data chunk (channels are interleaved)
+  writeString(36, 'data')
+  view.setUint32(40, dataSize, true)
+
+  const channels = []
+  for (let c = 0; c < numberOfChannels; c++) channels.push(audioBuffer.getChannelData(c))
+
+  const max = Math.pow(2, bitDepth - 1) - 1
+  let offset = 44
+  for (let i = 0; i < length; i++) {
+    for (let c = 0; c < numberOfChannels; c++) {
+      const sample = Math.round(Math.max(-1, Math.min(1, channels[c][i])) * max)
+      if (bitDepth === 16) {
+        view.setInt16(offset, sample, true)
+      } else {
+        view.setUint8(offset, sample & 0xff)
+        view.setUint8(offset + 1, (sample >> 8) & 0xff)
+        view.setUint8(offset + 2, (sample >> 16) & 0xff)
+      }
+      offset += bytesPerSample
+    }
+  }
+
+  return view.buffer
+}
@@ -0,0 +1,37 @@
+import { encodeWav } from './wav'
+import { fakeBuffer } from '../test/buffers'
+
+const readString = (view, offset, length) =>
+      String.fromCharCode(...new Uint8Array(view.buffer, offset, length))
+
+describe('encodeWav', () => {
+  test('writes a 16 bit header and interleaved samples', () => {
+    const view = new DataView(encodeWav(fakeBuffer([[0, 1], [-1, 0.5]])))
+
+    expect(readString(view, 0, 4)).toEqual('RIFF')
+    expect(readString(view, 8, 4)).toEqual('WAVE')
+    expect(view.getUint16(22, true)).toEqual(2)
+    expect(view.getUint32(24, true)).toEqual(44100)
+    expect(view.getUint16(34, true)).toEqual(16)
+    expect(view.getUint32(40, true)).toEqual(8)
+    expect([0, 1, 2, 3].map(i => view.getInt16(44 + i * 2, true))).toEqual([0, -32767, 32767, 16384])
+  })
+
+  test('writes 24 bit samples', () => {
+    const view = new DataView(encodeWav(fakeBuffer([[-1, 1]]), { bitDepth: 24 }))
+    const bytes = new Uint8Array(view.buffer, 44)
+
+    expect(view.getUint16(34, true)).toEqual(24)
+    expect(view.byteLength).toEqual(44 + 6)
+    expect(Array.from(bytes)).toEqual([0x01, 0x00, 0x80, 0xff, 0xff, 0x7f])
+  })
+
+  test('clips samples which are out of range', () => {
+    const view = new DataView(encodeWav(fakeBuffer([[2, -2]])))
+    expect([view.getInt16(44, true), view.getInt16(46, true)]).toEqual([32767, -32767])
+  })
+
+  test('rejects unsupported bit depths', () => {
+    expect(() => encodeWav(fakeBuffer([[0]]), { bitDepth: 8 })).toThrow()
+  })
+})
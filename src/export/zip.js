@@ -0,0 +1,94 @@
+// a minimal zip writer. files are stored without compression, which is fine
+// for audio since it barely compresses anyway.
+
+const crcTable = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+export const crc32 = bytes => {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+const toBytes = data => {
+  if (typeof data === 'string') return new TextEncoder().encode(data)
+  if (data instanceof ArrayBuffer) return new Uint8Array(data)
+  return data
+}
+
+// zips a list of { name, data } files, where data is a string, ArrayBuffer or
+// Uint8Array. returns the zip file as a Uint8Array.
+export const makeZip = files => {
+  const entries = files.map(({ name, data }) => {
+    const bytes = toBytes(data)
+    return { name: new TextEncoder().encode(name), bytes, crc: crc32(bytes) }
+  })
+
+  const localSize = entries.reduce((size, e) => size + 30 + e.name.length + e.bytes.length, 0)
+  const centralSize = entries.reduce((size, e) => size + 46 + e.name.length, 0)
+  const zip = new Uint8Array(localSize + centralSize + 22)
+  const view = new DataView(zip.buffer)
+
+  let offset = 0
+  const offsets = []
+
+  // local file headers, each followed by its data
+  for (const { name, bytes, crc } of entries) {
+    offsets.push(offset)
+    view.setUint32(offset, 0x04034b50, true)      // signature
+    view.setUint16(offset + 4, 20, true)          // version needed to extract
+    view.setUint16(offset + 6, 0x0800, true)      // flags (utf-8 names)
+    view.setUint16(offset + 8, 0, true)           // compression (stored)
+    view.setUint32(offset + 10, 0, true)          // modification time and date
+    view.setUint32(offset + 14, crc, true)
+    view.setUint32(offset + 18, bytes.length, true)
+    view.setUint32(offset + 22, bytes.length, true)
+    view.setUint16(offset + 26, name.length, true)
+    view.setUint16(offset + 28, 0, true)          // extra field length
+    zip.set(name, offset + 30)
+    zip.set(bytes, offset + 30 + name.length)
+    offset += 30 + name.length + bytes.length
+  }
+
+  // central directory
+  const centralOffset = offset
+  entries.forEach(({ name, bytes, crc }, idx) => {
+    view.setUint32(offset, 0x02014b50, true)      // signature
+    view.setUint16(offset + 4, 20, true)          // version made by
+    view.setUint16(offset + 6, 20, true)          // version needed to extract
+    view.setUint16(offset + 8, 0x0800, true)      // flags (utf-8 names)
+    view.setUint16(offset + 10, 0, true)          // compression (stored)
+    view.setUint32(offset + 12, 0, true)          // modification time and date
+    view.setUint32(offset + 16, crc, true)
+    view.setUint32(offset + 20, bytes.length, true)
+    view.setUint32(offset + 24, bytes.length, true)
+    view.setUint16(offset + 28, name.length, true)
+    view.setUint16(offset + 30, 0, true)          // extra field length
+    view.setUint16(offset + 32, 0, true)          // comment length
+    view.setUint16(offset + 34, 0, true)          // disk number
+    view.setUint16(offset + 36, 0, true)          // internal attributes
+    view.setUint32(offset + 38, 0, true)          // external attributes
+    view.setUint32(offset + 42, offsets[idx], true)
+    zip.set(name, offset + 46)
+    offset += 46 + name.length
+  })
+
+  // end of central directory record
+  view.setUint32(offset, 0x06054b50, true)
+  view.setUint16(offset + 4, 0, true)
+  view.setUint16(offset + 6, 0, true)
+  view.setUint16(offset + 8, entries.length, true)
+  view.setUint16(offset + 10, entries.length, true)
+  view.setUint32(offset + 12, offset - centralOffset, true)
+  view.setUint32(offset + 16, centralOffset, true)
+  view.setUint16(offset + 20, 0, true)
+
+  return zip
+}
@@ -0,0 +1,35 @@
+/**
+ * @jest-environment node
+ */
+
+import { crc32, makeZip } from './zip'
+
+describe('crc32', () => {
+  test('matches the standard check value', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toEqual(0xcbf43926)
+  })
+})
+
+describe('makeZip', () => {
+  test('stores files with a central directory', () => {
+    const zip = makeZip([
+      { name: 'a.txt', data: 'hello' },
+      { name: 'b.bin', data: new Uint8Array([1, 2, 3]) },
+    ])
+    const view = new DataView(zip.buffer)
+
+    // first local file header and its data
+    expect(view.getUint32(0, true)).toEqual(0x04034b50)
+    expect(view.getUint32(18, true)).toEqual(5)
+    expect(new TextDecoder().decode(zip.slice(30, 35))).toEqual('a.txt')
+    expect(new TextDecoder().decode(zip.slice(35, 40))).toEqual('hello')
+
+    // end of central directory points at the central directory
+    const end = zip.length - 22
+    expect(view.getUint32(end, true)).toEqual(0x06054b50)
+    expect(view.getUint16(end + 10, true)).toEqual(2)
+    const centralOffset = view.getUint32(end + 16, true)
+    expect(view.getUint32(centralOffset, true)).toEqual(0x02014b50)
+    expect(view.getUint32(centralOffset + 42, true)).toEqual(0)
+  })
+})
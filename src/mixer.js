@@ -0,0 +1,115 @@
+const SmoothingTime = 0.01 // time constant for level changes, short enough to feel instant without clicking (seconds)
+const TailTime = 10        // how long to keep removed channels connected so their tails can ring out (seconds)
+
+// the default settings of a channel in the mixer panel
+export const DefaultChannelSettings = {
+  gain: 1,
+  pan: 0,
+  mute: false,
+  solo: false,
+}
+
+// a channel strip for a single sequence,
+//   input -> gain -> panner -> audibility (mute/solo) -> master
+//                           \-> stem (for recording the line on its own)
+class ChannelStrip {
+  constructor(audioContext, mixer, output) {
+    this.audioContext = audioContext
+    this.mixer = mixer
+    this.input = audioContext.createGain()
+    this.panner = audioContext.createStereoPanner()
+    this.audibility = audioContext.createGain()
+
+    this.input.connect(this.panner)
+    this.panner.connect(this.audibility)
+    this.audibility.connect(output)
+
+    this.stem = this.panner // taken before mute/solo so every line can be recorded
+    this.settings = DefaultChannelSettings // from the mixer panel
+    this.scripted = { mute: false, solo: false } // from the text, e.g. -kick or !kick
+  }
+
+  get isMuted() { return this.settings.mute || this.scripted.mute }
+  get isSoloed() { return this.settings.solo || this.scripted.solo }
+
+  setSettings(settings, time = this.audioContext.currentTime) {
+    this.settings = { ...DefaultChannelSettings, ...settings }
+    this.input.gain.setTargetAtTime(this.settings.gain, time, SmoothingTime)
+    this.panner.pan.setTargetAtTime(Math.max(-1, Math.min(1, this.settings.pan)), time, SmoothingTime)
+    this.mixer.updateAudibility(time)
+  }
+
+  // mute/solo as scripted in the text of the line, from the given time onwards
+  setScripted({ mute = false, solo = false }, time = this.audioContext.currentTime) {
+    this.scripted = { mute, solo }
+    this.mixer.updateAudibility(time)
+  }
+
+  setAudible(isAudible, time) {
+    this.audibility.gain.setTargetAtTime(isAudible ? 1 : 0, time, SmoothingTime)
+  }
+
+  dispose() {
+    setTimeout(() => this.audibility.disconnect(), TailTime * 1000)
+  }
+}
+
+// the mixer gives every sequence its own channel strip and sums them into a
+// master bus, which has a limiter on the end so a pile of loud samples can't clip,
+//   channels -> master gain -> limiter -> outputs
+export class Mixer {
+  constructor(audioContext, outputs) {
+    this.audioContext = audioContext
+    this.channels = {}
+    this.settings = {} // mixer panel settings by sequence key
+
+    this.master = audioContext.createGain()
+    this.limiter = audioContext.createDynamicsCompressor()
+    this.limiter.threshold.value = -3
+    this.limiter.knee.value = 0
+    this.limiter.ratio.value = 20
+    this.limiter.attack.value = 0.003
+    this.limiter.release.value = 0.25
+
+    this.master.connect(this.limiter)
+    for (const output of outputs) {
+      this.limiter.connect(output)
+    }
+  }
+
+  // returns the channel strip for a sequence key, creating it if it doesn't exist yet
+  channel(key) {
+    if (!this.channels[key]) {
+      this.channels[key] = new ChannelStrip(this.audioContext, this, this.master)
+      this.channels[key].setSettings(this.settings[key])
+    }
+    return this.channels[key]
+  }
+
+  removeChannel(key) {
+    if (!this.channels[key]) return
+
+    this.channels[key].dispose()
+    delete this.channels[key]
+    this.updateAudibility()
+  }
+
+  // updates the mixer panel settings, e.g. { key: { gain: 0.5, pan: 0, mute: false, solo: true } }
+  setSettings(settingsByKey) {
+    this.settings = settingsByKey
+    for (const [key, channel] of Object.entries(this.channels)) {
+      channel.setSettings(this.settings[key])
+    }
+  }
+
+  // when any channel is soloed, only soloed channels can be heard (even if they're
+  // muted, so a muted line can be soloed to hear it on its own)
+  updateAudibility(time = this.audioContext.currentTime) {
+    const channels = Object.values(this.channels)
+    const isAnySoloed = channels.some(c => c.isSoloed)
+
+    for (const channel of channels) {
+      channel.setAudible(isAnySoloed ? channel.isSoloed : !channel.isMuted, time)
+    }
+  }
+}
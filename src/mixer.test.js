@@ -0,0 +1,70 @@
+import { Mixer } from './mixer'
+import { fakeAudioContext } from './test/audioContext'
+
+describe('Mixer', () => {
+  const setup = (keys = ['a', 'b', 'c']) => {
+    const audioContext = fakeAudioContext()
+    const mixer = new Mixer(audioContext, [audioContext.destination])
+    keys.forEach(key => mixer.channel(key))
+    return mixer
+  }
+
+  // the keys of the channels which can be heard
+  const audible = mixer => Object.keys(mixer.channels).filter(key => mixer.channels[key].audibility.gain.value === 1)
+
+  test('plays every channel to begin with', () => {
+    expect(audible(setup())).toEqual(['a', 'b', 'c'])
+  })
+
+  test('silences muted channels', () => {
+    const mixer = setup()
+    mixer.setSettings({ a: { mute: true } })
+    expect(audible(mixer)).toEqual(['b', 'c'])
+  })
+
+  test('only plays soloed channels when any are soloed', () => {
+    const mixer = setup()
+    mixer.setSettings({ a: { solo: true }, b: { solo: true } })
+    expect(audible(mixer)).toEqual(['a', 'b'])
+
+    mixer.setSettings({ a: { solo: true } })
+    expect(audible(mixer)).toEqual(['a'])
+
+    mixer.setSettings({})
+    expect(audible(mixer)).toEqual(['a', 'b', 'c'])
+  })
+
+  test('plays soloed channels even if they are muted', () => {
+    const mixer = setup()
+    mixer.setSettings({ a: { mute: true, solo: true }, b: { mute: true } })
+    expect(audible(mixer)).toEqual(['a'])
+
+    mixer.channel('c').setScripted({ mute: true, solo: true })
+    expect(audible(mixer)).toEqual(['a', 'c'])
+  })
+
+  test('mutes and solos channels from either the panel or the text', () => {
+    const mixer = setup()
+    mixer.channel('a').setScripted({ mute: true })
+    expect(audible(mixer)).toEqual(['b', 'c'])
+
+    // unmuting in the panel doesn't undo the - at the start of the line
+    mixer.setSettings({ a: { mute: false }, b: { mute: true } })
+    expect(audible(mixer)).toEqual(['c'])
+
+    // and a line soloed with ! plays alongside lines soloed in the panel
+    mixer.channel('b').setScripted({ solo: true })
+    mixer.setSettings({ c: { solo: true } })
+    expect(audible(mixer)).toEqual(['b', 'c'])
+
+    mixer.channel('b').setScripted({})
+    expect(audible(mixer)).toEqual(['c'])
+  })
+
+  test('plays the rest again once the soloed channel is removed', () => {
+    const mixer = setup()
+    mixer.setSettings({ a: { solo: true }, b: { mute: true } })
+    mixer.removeChannel('a')
+    expect(audible(mixer)).toEqual(['c'])
+  })
+})
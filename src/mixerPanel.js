@@ -0,0 +1,108 @@
+import React from 'react'
+import { makeStyles } from "@material-ui/core/styles"
+import { Button, Slider } from '@material-ui/core'
+import { map } from 'lodash'
+
+import { useSequenceContext } from './context/sequence'
+import { DefaultChannelSettings } from './mixer'
+
+
+const useStyles = makeStyles(theme => ({
+  panel: {
+    width: '50%',
+    marginTop: '40px',
+    fontSize: '14px',
+  },
+  channel: {
+    display: 'flex',
+    alignItems: 'center',
+    marginBottom: '8px',
+  },
+  name: {
+    width: '30%',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+    textAlign: 'left',
+    color: '#85e4ff',
+  },
+  slider: {
+    width: '20%',
+    margin: '0px 12px',
+    color: '#92e3f7',
+  },
+  toggle: {
+    minWidth: '32px',
+    color: '#4e717a',
+  },
+  muted: {
+    minWidth: '32px',
+    color: '#ff8aab',
+  },
+  soloed: {
+    minWidth: '32px',
+    color: '#faf566',
+  },
+}))
+
+export const MixerPanel = props => {
+  const {
+    sequenceState,
+    mixerSettings,
+    setChannelSettings,
+  } = useSequenceContext()
+  const classes = useStyles()
+
+  return (
+    <div className={classes.panel}>
+      {
+        map(sequenceState.sequences, ({ key, text, ast }) => {
+          const settings = { ...DefaultChannelSettings, ...mixerSettings[key] }
+
+          // lines can also be muted or soloed from the text (e.g. -kick or !kick)
+          const isMuted = settings.mute || ast.mute
+          const isSoloed = settings.solo || ast.solo
+
+          return (
+            <div key={key} className={classes.channel}>
+              <div className={classes.name} title={text}>{text}</div>
+              <Slider
+                aria-label="gain"
+                className={classes.slider}
+                min={0}
+                max={1.5}
+                step={0.01}
+                value={settings.gain}
+                onChange={(e, gain) => setChannelSettings(key, { gain })}
+              />
+              <Slider
+                aria-label="pan"
+                className={classes.slider}
+                min={-1}
+                max={1}
+                step={0.01}
+                value={settings.pan}
+                track={false}
+                onChange={(e, pan) => setChannelSettings(key, { pan })}
+              />
+              <Button
+                aria-label="mute"
+                size="small"
+                className={isMuted ? classes.muted : classes.toggle}
+                onClick={() => setChannelSettings(key, { mute: !settings.mute })}>
+                M
+              </Button>
+              <Button
+                aria-label="solo"
+                size="small"
+                className={isSoloed ? classes.soloed : classes.toggle}
+                onClick={() => setChannelSettings(key, { solo: !settings.solo })}>
+                S
+              </Button>
+            </div>
+          )
+        })
+      }
+    </div>
+  )
+}
@@ -0,0 +1,27 @@
+import { flatten, times, zipWith } from 'lodash'
+
+// spreads pulses as evenly as possible over a number of steps (bjorklund's
+// algorithm), as a list of whether each step is a hit, e.g. euclid(3, 8) is
+//   x _ _ x _ _ x _
+// a lot of rhythms from around the world turn out to be like this (see
+// toussaint's "the euclidean algorithm generates traditional musical rhythms").
+// the rotation shifts the pattern left, so euclid(3, 8, 2) is _ x _ _ x _ x _
+export const euclid = (pulses, steps, rotation = 0) => {
+  if (steps <= 0) return []
+
+  // keep pairing up the leftovers with what came before until there's at most one left over
+  let groups = times(Math.min(pulses, steps), () => [true])
+  let remainder = times(Math.max(0, steps - pulses), () => [false])
+  if (groups.length && remainder.length) {
+    do {
+      const paired = Math.min(groups.length, remainder.length)
+      const leftover = groups.length > paired ? groups.slice(paired) : remainder.slice(paired)
+      groups = zipWith(groups.slice(0, paired), remainder.slice(0, paired), (a, b) => [...a, ...b])
+      remainder = leftover
+    } while (remainder.length > 1)
+  }
+
+  const pattern = flatten([...groups, ...remainder])
+  const offset = ((rotation % steps) + steps) % steps
+  return [...pattern.slice(offset), ...pattern.slice(0, offset)]
+}
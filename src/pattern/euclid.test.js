@@ -0,0 +1,28 @@
+import { euclid } from './euclid'
+
+const show = pattern => pattern.map(hit => hit ? 'x' : '.').join('')
+
+describe('euclid', () => {
+  test('spreads pulses evenly', () => {
+    expect(show(euclid(3, 8))).toEqual('x..x..x.')
+    expect(show(euclid(5, 8))).toEqual('x.xx.xx.')
+    expect(show(euclid(2, 5))).toEqual('x.x..')
+    expect(show(euclid(2, 3))).toEqual('x.x')
+    expect(show(euclid(3, 4))).toEqual('x.xx')
+    expect(show(euclid(4, 12))).toEqual('x..x..x..x..')
+    expect(show(euclid(7, 16))).toEqual('x..x.x.x..x.x.x.')
+  })
+
+  test('rotates to the left', () => {
+    expect(show(euclid(3, 8, 2))).toEqual('.x..x.x.')
+    expect(show(euclid(3, 8, -1))).toEqual('.x..x..x')
+    expect(show(euclid(3, 8, 10))).toEqual('.x..x.x.')
+  })
+
+  test('copes with nothing and everything', () => {
+    expect(show(euclid(0, 4))).toEqual('....')
+    expect(show(euclid(4, 4))).toEqual('xxxx')
+    expect(show(euclid(1, 1))).toEqual('x')
+    expect(euclid(0, 0)).toEqual([])
+  })
+})
@@ -0,0 +1,124 @@
+import { flatMap, sortBy, times, uniq } from 'lodash'
+
+import { euclid } from './euclid'
+import { makeRandom } from '../random'
+import { hashString } from '../sounds/selection'
+
+// expands repeat nodes into copies of the repeated node, so that
+// [kick*2 hat] is treated exactly like [kick kick hat], and euclidean
+// rhythms into their steps, so kick(3,8) is kick _ _ kick _ _ kick _.
+// steps which only play sometimes keep to themselves whatever they
+// expand to, so kick*2?0.5 is kick?0.5 kick?0.5
+const expand = nodes => flatMap(nodes, node => {
+  switch (node.type) {
+  case 'repeat':
+    return flatMap(times(node.count, () => expand([node.node])))
+  case 'euclid':
+    return flatMap(euclid(node.pulses, node.steps, node.rotation), hit => hit ? expand([node.node]) : [{ type: 'rest' }])
+  case 'chance':
+  case 'every':
+    return expand([node.node]).map(child => ({ ...node, node: child }))
+  default:
+    return [node]
+  }
+})
+
+// recursively lays out a list of nodes across a timespan (measured in steps).
+// every node gets an equal share of the span and inherits the params of
+// the groups that it is nested in, and the conditions of the steps which
+// only play sometimes (see playsOn).
+const layout = (nodes, start, span, step, params = {}, conditions = []) => {
+  const expanded = expand(nodes)
+  const share = span / expanded.length
+
+  return flatMap(expanded, (node, idx) => {
+    const time = start + idx * share
+    const nodeParams = { ...params, ...node.params }
+
+    switch (node.type) {
+    case 'word':
+      return [{
+        word: node.value, time, duration: share, step,
+        params: node.note === undefined ? nodeParams : { ...nodeParams, note: node.note },
+        ...(conditions.length ? { conditions } : {}),
+      }]
+    case 'group':
+      return layout(node.steps, time, share, step, nodeParams, conditions)
+    case 'stack':
+      // everything in a stack plays at once, taking up the whole share
+      return flatMap(node.steps, child => layout([child], time, share, step, nodeParams, conditions))
+    case 'alternate':
+      // so does everything in an alternation, but only one of them plays on each cycle
+      return flatMap(node.steps, (child, index) => layout(
+        [child], time, share, step, nodeParams,
+        [...conditions, { type: 'alternate', index, count: node.steps.length }],
+      ))
+    case 'chance':
+      return layout([node.node], time, share, step, nodeParams, [...conditions, { type: 'chance', chance: node.chance }])
+    case 'every':
+      return layout([node.node], time, share, step, nodeParams, [...conditions, { type: 'every', count: node.count }])
+    default:
+      // rests produce no events
+      return []
+    }
+  })
+}
+
+// compiles a pattern tree into a single cycle of timed events, in order of time.
+//
+// each top level step lasts exactly one step of time, so the returned
+// length is the number of top level steps and each event looks like,
+//   { word: 'kick', time: 1.5, duration: 0.5, step: 1, params: { vol: 0.6 } }
+// where time and duration are measured in steps and step is the index
+// of the top level step that the event belongs to. sounds which are
+// stacked, e.g. kick+clap, get events at the same time. events which only
+// play sometimes have conditions too (see playsOn). the rate of the line
+// (beats per step), its effects and transforms and whether it is muted or
+// soloed are passed along too. transforms are applied to each cycle as it's
+// played, since they can be different every time (see pattern/transforms.js).
+export const compile = ast => {
+  const steps = expand(ast.steps)
+  // alternations put steps of different lengths in the same place, e.g. <[kick hat] snare>,
+  // so events are sorted, keeping ones which start together in the order they're written
+  const events = sortBy(flatMap(steps, (node, idx) => layout([node], idx, 1, idx)), e => e.time)
+  const { rate, effects, transforms = [], mute, solo } = ast
+
+  return { length: steps.length, rate, events, effects, transforms, mute, solo }
+}
+
+// returns the unique sound words used in a pattern tree
+export const soundWords = ast => uniq(compile(ast).events.map(e => e.word))
+
+// the dice which an event rolls for its chances on a cycle of its line. the rolls
+// only depend on the seed, the cycle, where the event is and what it is, so the
+// same seed always gives the same take, whether it's played, bounced or exported.
+export const eventRandom = (seed, cycle, idx, event) => makeRandom(hashString(`${seed}:${cycle}:${idx}:${event.word}`))
+
+// whether an event plays on a cycle of its line (counting from 0), given its
+// conditions from the outermost in, which are
+//   { type: 'chance', chance }       it plays if a roll of random() is under the chance
+//   { type: 'every', count }         it plays on every count-th cycle, starting with the first
+//   { type: 'alternate', index, count } it plays when it's its turn in an alternation
+// alternations count cycles for what's inside them by the turns they've had, so in
+// <kick <snare clap>> the snare and the clap take turns at every other cycle.
+// events which a transform moved from another cycle count from that one instead.
+export const playsOn = (event, cycle, random) => {
+  let turn = event.cycle === undefined ? cycle : event.cycle
+  for (const condition of event.conditions || []) {
+    switch (condition.type) {
+    case 'chance':
+      if (random() >= condition.chance) return false
+      break
+    case 'every':
+      if (turn % condition.count !== 0) return false
+      break
+    case 'alternate':
+      if (turn % condition.count !== condition.index) return false
+      turn = Math.floor(turn / condition.count)
+      break
+    default:
+      break
+    }
+  }
+  return true
+}
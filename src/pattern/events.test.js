@@ -0,0 +1,118 @@
+import { parse } from './parser'
+import { compile, eventRandom, playsOn, soundWords } from './events'
+
+describe('compile', () => {
+  test('gives every top level word a whole step', () => {
+    expect(compile(parse('kick _ snare'))).toEqual({
+      length: 3,
+      rate: 1,
+      events: [
+        { word: 'kick', time: 0, duration: 1, step: 0, params: {} },
+        { word: 'snare', time: 2, duration: 1, step: 2, params: {} },
+      ],
+      effects: [],
+      transforms: [],
+      mute: false,
+      solo: false,
+    })
+  })
+
+  test('subdivides groups within a single step', () => {
+    expect(compile(parse('kick [hat [hat hat]]')).events).toEqual([
+      { word: 'kick', time: 0, duration: 1, step: 0, params: {} },
+      { word: 'hat', time: 1, duration: 0.5, step: 1, params: {} },
+      { word: 'hat', time: 1.5, duration: 0.25, step: 1, params: {} },
+      { word: 'hat', time: 1.75, duration: 0.25, step: 1, params: {} },
+    ])
+  })
+
+  test('expands repetition into steps', () => {
+    const { length, events } = compile(parse('kick*2 [hat*2 _]'))
+    expect(length).toEqual(3)
+    expect(events.map(e => e.time)).toEqual([0, 1, 2, 2 + 1/3])
+  })
+
+  test('passes params down from groups to their words', () => {
+    expect(compile(parse('[kick(vol=1) hat](vol=0.5, pan=1)')).events.map(e => e.params)).toEqual([
+      { vol: 1, pan: 1 },
+      { vol: 0.5, pan: 1 },
+    ])
+  })
+
+  test('plays everything in a stack at once', () => {
+    expect(compile(parse('[kick+clap hat] piano:<C4 E4>(vol=0.5)')).events).toEqual([
+      { word: 'kick', time: 0, duration: 0.5, step: 0, params: {} },
+      { word: 'clap', time: 0, duration: 0.5, step: 0, params: {} },
+      { word: 'hat', time: 0.5, duration: 0.5, step: 0, params: {} },
+      { word: 'piano', time: 1, duration: 1, step: 1, params: { vol: 0.5, note: 60 } },
+      { word: 'piano', time: 1, duration: 1, step: 1, params: { vol: 0.5, note: 64 } },
+    ])
+  })
+})
+
+describe('conditional steps', () => {
+  // the words which play on each of the given cycles
+  const played = (line, cycles, seed = 0) => {
+    const { events } = compile(parse(line))
+    return cycles.map(cycle => events
+                      .filter((event, idx) => playsOn(event, cycle, eventRandom(seed, cycle, idx, event)))
+                      .map(e => e.word)
+                      .join(' '))
+  }
+
+  test('gives events the conditions of the steps around them', () => {
+    expect(compile(parse('kick*2?0.25 [<hat snare!2>]')).events).toEqual([
+      { word: 'kick', time: 0, duration: 1, step: 0, params: {}, conditions: [{ type: 'chance', chance: 0.25 }] },
+      { word: 'kick', time: 1, duration: 1, step: 1, params: {}, conditions: [{ type: 'chance', chance: 0.25 }] },
+      {
+        word: 'hat', time: 2, duration: 1, step: 2, params: {},
+        conditions: [{ type: 'alternate', index: 0, count: 2 }],
+      },
+      {
+        word: 'snare', time: 2, duration: 1, step: 2, params: {},
+        conditions: [{ type: 'alternate', index: 1, count: 2 }, { type: 'every', count: 2 }],
+      },
+    ])
+  })
+
+  test('puts the events of alternations in order of time', () => {
+    expect(compile(parse('<[kick hat] snare> clap')).events.map(e => [e.word, e.time])).toEqual([
+      ['kick', 0], ['snare', 0], ['hat', 0.5], ['clap', 1],
+    ])
+  })
+
+  test('plays on every nth cycle', () => {
+    expect(played('kick snare!3', [0, 1, 2, 3, 4, 5, 6])).toEqual([
+      'kick snare', 'kick', 'kick', 'kick snare', 'kick', 'kick', 'kick snare',
+    ])
+  })
+
+  test('takes turns, counting turns inside alternations', () => {
+    expect(played('<kick snare _>', [0, 1, 2, 3])).toEqual(['kick', 'snare', '', 'kick'])
+    expect(played('<kick <snare clap>>', [0, 1, 2, 3, 4, 5])).toEqual(['kick', 'snare', 'kick', 'clap', 'kick', 'snare'])
+    expect(played('<kick snare!2>', [1, 3, 5])).toEqual(['snare', '', 'snare'])
+  })
+
+  test('rolls chances from the seed', () => {
+    const cycles = Array.from({ length: 200 }, (_, i) => i)
+    const takes = played('hat?0.25 kick', cycles, 42)
+
+    expect(played('hat?0.25 kick', cycles, 42)).toEqual(takes)
+    expect(played('hat?0.25 kick', cycles, 43)).not.toEqual(takes)
+    expect(takes.every(take => take.endsWith('kick'))).toBe(true)
+
+    const hats = takes.filter(take => take.startsWith('hat')).length
+    expect(hats).toBeGreaterThan(30)
+    expect(hats).toBeLessThan(70)
+  })
+
+  test('never or always plays chances of 0 and 1', () => {
+    expect(played('hat?0 kick?1', [0, 1, 2])).toEqual(['kick', 'kick', 'kick'])
+  })
+})
+
+describe('soundWords', () => {
+  test('returns unique words without rests', () => {
+    expect(soundWords(parse('kick [kick hat] _ ~ snare*2'))).toEqual(['kick', 'hat', 'snare'])
+  })
+})
@@ -0,0 +1,46 @@
+// notes are midi note numbers, where C4 is 60 and A4 (440Hz) is 69. note
+// numbers can have fractions, e.g. for samples which are a little out of tune.
+
+const LetterOffsets = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 }
+
+// the scales which a line can be in, as semitones above the root
+export const Scales = {
+  major: [0, 2, 4, 5, 7, 9, 11],
+  minor: [0, 2, 3, 5, 7, 8, 10],
+  dorian: [0, 2, 3, 5, 7, 9, 10],
+  phrygian: [0, 1, 3, 5, 7, 8, 10],
+  lydian: [0, 2, 4, 6, 7, 9, 11],
+  mixolydian: [0, 2, 4, 5, 7, 9, 10],
+  locrian: [0, 1, 3, 5, 6, 8, 10],
+  harmonic: [0, 2, 3, 5, 7, 8, 11],
+  pentatonic: [0, 2, 4, 7, 9],
+  minpentatonic: [0, 3, 5, 7, 10],
+  blues: [0, 3, 5, 6, 7, 10],
+  chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+}
+
+// the note number of a note name like C4, F#3 or Eb2, or null if it isn't one.
+// the octave can be left off (e.g. for the root of a scale), which means octave 4.
+export const noteNumber = (name, { octaveOptional = false } = {}) => {
+  const match = String(name).match(octaveOptional ? /^([a-g])([#b]?)(-?\d)?$/i : /^([a-g])([#b]?)(-?\d)$/i)
+  if (!match) return null
+
+  const [, letter, accidental, octave = '4'] = match
+  return LetterOffsets[letter.toLowerCase()]
+    + (accidental === '#' ? 1 : accidental === 'b' ? -1 : 0)
+    + (Number(octave) + 1) * 12
+}
+
+export const noteToFrequency = note => 440 * Math.pow(2, (note - 69) / 12)
+export const frequencyToNote = hz => 69 + 12 * Math.log2(hz / 440)
+
+// the note of a degree of a scale, counting from 1 (the root). degrees past
+// the end of the scale carry on into the octaves above, and 0 and below go
+// down into the octaves below, e.g. in C major 8 is C5 and 0 is B3.
+export const scaleNote = (scale, root, degree) => {
+  const intervals = Scales[scale]
+  const index = degree - 1
+  const octave = Math.floor(index / intervals.length)
+  const step = index - octave * intervals.length
+  return root + octave * 12 + intervals[step]
+}
@@ -0,0 +1,44 @@
+import { frequencyToNote, noteNumber, noteToFrequency, scaleNote } from './notes'
+
+describe('noteNumber', () => {
+  test('turns note names into midi note numbers', () => {
+    expect(noteNumber('C4')).toEqual(60)
+    expect(noteNumber('A4')).toEqual(69)
+    expect(noteNumber('f#3')).toEqual(54)
+    expect(noteNumber('Bb2')).toEqual(46)
+    expect(noteNumber('C-1')).toEqual(0)
+  })
+
+  test('only leaves the octave off when asked to', () => {
+    expect(noteNumber('D')).toEqual(null)
+    expect(noteNumber('D', { octaveOptional: true })).toEqual(62)
+  })
+
+  test('returns null for anything else', () => {
+    expect(noteNumber('H4')).toEqual(null)
+    expect(noteNumber('C44')).toEqual(null)
+    expect(noteNumber('440')).toEqual(null)
+  })
+})
+
+test('converts between notes and frequencies', () => {
+  expect(noteToFrequency(69)).toEqual(440)
+  expect(noteToFrequency(57)).toBeCloseTo(220)
+  expect(frequencyToNote(261.63)).toBeCloseTo(60, 2)
+  expect(frequencyToNote(445)).toBeCloseTo(69.2, 1)
+})
+
+describe('scaleNote', () => {
+  test('counts degrees from the root', () => {
+    expect([1, 2, 3, 4, 5, 6, 7].map(d => scaleNote('major', 60, d))).toEqual([60, 62, 64, 65, 67, 69, 71])
+    expect([1, 3, 5].map(d => scaleNote('dorian', 62, d))).toEqual([62, 65, 69])
+  })
+
+  test('carries on into other octaves', () => {
+    expect(scaleNote('major', 60, 8)).toEqual(72)
+    expect(scaleNote('major', 60, 10)).toEqual(76)
+    expect(scaleNote('major', 60, 0)).toEqual(59)
+    expect(scaleNote('major', 60, -6)).toEqual(48)
+    expect(scaleNote('pentatonic', 60, 6)).toEqual(72)
+  })
+})
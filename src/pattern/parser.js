@@ -0,0 +1,690 @@
+// the pattern language turns a line of text in the editor into a tree of steps.
+//
+//   kick snare          two steps, one per beat
+//   [kick hat]          a group squeezes all of its children into a single step
+//   [kick [hat hat]]    groups can be nested as deep as you like
+//   kick*4              repeat a step four times
+//   kick(3,8)           spread 3 kicks over 8 steps (a euclidean rhythm, see pattern/euclid.js)
+//   kick(5,8,2)         the same with 5 kicks, rotated left by 2 steps
+//   hat?0.3             play a step with a 30% chance (hat? is a 50% chance)
+//   snare!3             play a step on the first cycle of the line and every 3rd one after it
+//   <kick snare clap>   play one step from the list each cycle, taking turns
+//   _ or ~              rests (these can be repeated too, e.g. _*3)
+//   kick(vol=0.6)       shape a step with parameters (see StepParams below)
+//   [kick hat](pan=-1)  parameters on a group apply to everything inside it
+//   hat(gate=1)         hold a note until the next step (envelopes are params too)
+//   ohat(choke=1)       notes in the same choke group cut each other off
+//   kick{dur<0.5}       constrain which sounds a word can be (see SoundConstraints below)
+//   piano:C4 piano:E4   play a sound at a note, relative to the note it's at (its root)
+//   kick+clap           play sounds together on the same step
+//   piano:<C4 E4 G4>    play a chord (every note of it together)
+//
+// a line can also start with directives which apply to the whole line,
+//
+//   @1/4 hat hat        each step lasts a quarter of a beat (16th notes)
+//   @3:2 kick kick kick three steps in the time of two beats (triplets)
+//   -kick snare         mute the line
+//   !kick snare         solo the line
+//   scale=dorian root=D piano:1 piano:3 piano:5
+//                       play degrees of a scale (see LineSettings below)
+//
+// and end with a chain of effects which the whole line is played through,
+//
+//   kick snare | lpf 800 | delay 3/16 0.4 | reverb 0.3
+//
+// and transforms which change what's played on each cycle (see LineTransforms below),
+//
+//   kick snare hat | every 4 rev | lpf 800
+//
+// the resulting tree looks like,
+//   {
+//     type: 'sequence',
+//     mute: false,
+//     solo: false,
+//     rate: 1,
+//     scale: null,
+//     steps: [ { type: 'word', value: 'kick' }, { type: 'word', value: 'piano', note: 60 }, ... ],
+//     effects: [ { name: 'lpf', params: { freq: 800 } }, ... ],
+//     transforms: [ { name: 'every', params: { cycles: 4 }, transform: { name: 'rev', params: {} } }, ... ],
+//   }
+// where rate is the number of beats that each step lasts, scale is the scale of
+// the line, e.g. { name: 'dorian', root: 62 }, and notes are midi note numbers.
+// sounds which play together are in a stack, e.g. kick+clap is
+//   { type: 'stack', steps: [ { type: 'word', value: 'kick' }, { type: 'word', value: 'clap' } ] }
+// and euclidean rhythms are left for the compiler to expand, e.g. kick(3,8) is
+//   { type: 'euclid', node: { type: 'word', value: 'kick' }, pulses: 3, steps: 8, rotation: 0 }
+// as are the steps which only play sometimes, e.g. hat?0.3 is
+//   { type: 'chance', node: { type: 'word', value: 'hat' }, chance: 0.3 }
+// snare!3 is { type: 'every', node, count: 3 } and <kick snare> is { type: 'alternate', steps }.
+
+import { Scales, noteNumber, scaleNote } from './notes'
+import { euclid } from './euclid'
+
+export class ParseError extends Error {
+  constructor(message, position) {
+    super(`${message} (at position ${position})`)
+    this.name = 'ParseError'
+    this.position = position
+  }
+}
+
+const RestSymbols = ['_', '~']
+
+// the most steps a single step can be expanded into, by repeating it (kick*64) or as
+// a euclidean rhythm (kick(1,64)). every one of them is scheduled, so kick*1e9 can't be
+const MaxExpansion = 64
+
+// whether a name is in one of the tables below. names come from what's typed,
+// so the ones every object has, like constructor, mustn't count.
+const isKnown = (table, name) => Object.prototype.hasOwnProperty.call(table, name)
+
+// characters which have meaning on their own and can't be a part of a word
+const SpecialChars = ['[', ']', '*', '(', ')', ',', '=', '@', '|', '{', '}', '+', '<', '>', '?', '!']
+
+// the parameters which can be used to shape a step, e.g. snare(pitch=+3, vol=0.5)
+export const StepParams = {
+  vol: 'gain of the step (1 is unchanged)',
+  pitch: 'pitch shift in semitones',
+  pan: 'stereo position from -1 (left) to 1 (right)',
+  len: 'length of the note in seconds',
+  gate: 'length of the note as a fraction of its step (1 lasts until the next step)',
+  atk: 'attack time of the note in seconds',
+  dec: 'decay time of the note in seconds',
+  sus: 'sustain level of the note from 0 to 1',
+  rel: 'release time of the note in seconds',
+  choke: 'choke group, notes cut off earlier notes in the same group (on any line)',
+}
+
+// the settings which a line can start with, e.g. scale=dorian root=D
+export const LineSettings = {
+  scale: 'the scale which degrees are played in (see Scales in pattern/notes.js), major if only a root is given',
+  root: 'the root note of the scale, e.g. D3 or D (which is D4), C4 if only a scale is given',
+}
+
+// the effects which a line can be played through and the names of their
+// arguments (in order), e.g. delay 3/16 0.4 is { time: 0.1875, feedback: 0.4 }.
+// see effects.js for what each of these do.
+export const LineEffects = {
+  lpf: ['freq', 'q'],
+  hpf: ['freq', 'q'],
+  bpf: ['freq', 'q'],
+  delay: ['time', 'feedback'],
+  reverb: ['mix', 'decay'],
+  dist: ['amount'],
+  comp: ['threshold', 'ratio'],
+}
+
+// the transforms which a line can be put through and the names of their arguments
+// (in order), e.g. rot 2 is { steps: 2 }. every takes another transform after its
+// count, e.g. every 4 rev. see pattern/transforms.js for what each of these do.
+export const LineTransforms = {
+  rev: [],
+  rot: ['steps'],
+  fast: ['times'],
+  slow: ['times'],
+  palindrome: [],
+  shuffle: [],
+  every: ['cycles', 'transform'],
+}
+
+// the constraints which can narrow down the sounds that a word is searched
+// for, e.g. kick{dur<0.5, license=cc0, sort=rating}, or change how the sound
+// is prepared once it's found, e.g. kick{norm=off}. the operators each one
+// can be used with and the values it can take are alongside. the ones which
+// only prepare the sound don't change which sound it is (see sourceWord in
+// sounds/providers.js).
+export const SoundConstraints = {
+  dur: { description: 'duration in seconds', ops: ['<', '<=', '>', '>=', '='], values: 'number' },
+  license: { description: 'the license of the sound', ops: ['='], values: ['cc0', 'by', 'by-nc'] },
+  tag: { description: 'a tag the sound must have', ops: ['='], values: 'word' },
+  sort: { description: 'which sounds come first', ops: ['='], values: ['score', 'rating', 'downloads', 'duration', 'created'] },
+  root: { description: 'the note the sound is at, which notes are played relative to', ops: ['='], values: 'note', prepares: true },
+  norm: { description: 'whether the loudness of the sound is evened out', ops: ['='], values: ['on', 'off'], prepares: true },
+  trim: { description: 'whether the silence before the sound is trimmed', ops: ['='], values: ['on', 'off'], prepares: true },
+}
+
+// parses the text between the braces of a constrained word into a list of
+// { key, op, value }. position is where the text starts, for errors.
+export const parseConstraints = (text, position = 0) => text.split(',').map(part => {
+  const match = part.trim().match(/^([a-z]+)\s*(<=|>=|<|>|=)\s*(\S+)$/)
+  if (!match) throw new ParseError(`invalid constraint '${part.trim()}'`, position)
+
+  const [, key, op, raw] = match
+  if (!isKnown(SoundConstraints, key)) throw new ParseError(`unknown constraint '${key}'`, position)
+  const constraint = SoundConstraints[key]
+  if (!constraint.ops.includes(op)) throw new ParseError(`'${key}' can not be used with '${op}'`, position)
+
+  if (constraint.values === 'number') {
+    const value = Number(raw)
+    if (!isFinite(value)) throw new ParseError(`expected a number for '${key}', got '${raw}'`, position)
+    return { key, op, value }
+  }
+  if (constraint.values === 'note' && noteNumber(raw) === null) {
+    throw new ParseError(`expected a note for '${key}', got '${raw}'`, position)
+  }
+  if (Array.isArray(constraint.values) && !constraint.values.includes(raw)) {
+    throw new ParseError(`'${key}' must be one of ${constraint.values.join(', ')}`, position)
+  }
+  return { key, op, value: raw }
+})
+
+// the midi note number of a note name, e.g. C4, or on a line with a scale, of a
+// degree of it, e.g. 3. returns null if it's neither. note names are capitalized
+// so they aren't mistaken for queries.
+const parseNote = (text, scale) => /^[A-G][#b]?-?\d$/.test(text) ? noteNumber(text)
+  : scale && /^-?\d{1,2}$/.test(text) ? scaleNote(scale.name, scale.root, Number(text))
+  : null
+
+// splits the note off of a word which is played at one, e.g. piano:C4 is piano
+// played at C4 (60) and on a line with a scale, piano:3 is its third degree
+const splitNote = (value, scale) => {
+  const match = value.match(/^(.+):([^:]+)$/)
+  const note = match ? parseNote(match[2], scale) : null
+  return note === null ? { word: value, note: null } : { word: match[1], note }
+}
+
+// a chord is a list of notes attached to a word by a colon, e.g. piano:<C4 E4 G4>
+const isChord = (token, next) => token.value.endsWith(':') && next && next.type === '<'
+
+const isSetting = (token, next) =>
+  token && token.type === 'word' && isKnown(LineSettings, token.value) && next && next.type === '='
+
+const isWhitespace = c => /\s/.test(c)
+const isSpecial = c => SpecialChars.includes(c)
+
+// splits text into a list of { type, value, position } tokens
+export const tokenize = text => {
+  const tokens = []
+  let i = 0
+
+  while (i < text.length) {
+    const c = text[i]
+
+    if (isWhitespace(c)) {
+      i++
+      continue
+    }
+
+    // everything between braces is kept together as the constraints of a word.
+    // an unclosed brace swallows the rest of the line, which the parser rejects.
+    if (c === '{') {
+      const end = text.indexOf('}', i)
+      const closed = end !== -1
+      tokens.push({
+        type: 'constraints',
+        value: text.slice(i + 1, closed ? end : text.length),
+        position: i,
+        end: closed ? end + 1 : text.length,
+        closed,
+      })
+      i = closed ? end + 1 : text.length
+      continue
+    }
+
+    if (isSpecial(c)) {
+      tokens.push({ type: c, value: c, position: i })
+      i++
+      continue
+    }
+
+    // consume a whole word
+    const start = i
+    while (i < text.length && !isWhitespace(text[i]) && !isSpecial(text[i])) i++
+    tokens.push({ type: 'word', value: text.slice(start, i), position: start, end: i })
+  }
+
+  return tokens
+}
+
+// a tiny recursive descent parser over the token list.
+//
+//   line     := ('-' | '!')? sequence
+//   sequence := directive* step* ('|' (effect | transform))*
+//   directive := '@' rate | setting '=' word
+//   effect   := word value*
+//   transform := word value* transform?
+//   step     := atom args? ('*' count | '?' chance? | '!' count)*
+//   atom     := stack | rest | '[' step* ']' | '<' step+ '>'
+//   stack    := sound ('+' sound)*
+//   sound    := word chord? constraints?
+//   chord    := '<' word+ '>'
+//   constraints := '{' constraint (',' constraint)* '}'
+//   args     := '(' arg (',' arg)* ')'
+//   arg      := word '=' word | word
+class Parser {
+  constructor(text) {
+    this.generators = [] // where each euclidean rhythm is and what it expands to (see generatorRanges)
+
+    // a leading - or ! mutes or solos the whole line. we blank it out rather
+    // than removing it so that token positions still line up with the text.
+    const prefix = text.match(/^\s*([-!])/)
+    this.mute = prefix !== null && prefix[1] === '-'
+    this.solo = prefix !== null && prefix[1] === '!'
+    this.text = prefix ? `${text.slice(0, prefix[0].length - 1)} ${text.slice(prefix[0].length)}` : text
+
+    this.tokens = tokenize(this.text)
+    this.index = 0
+  }
+
+  peek() { return this.tokens[this.index] }
+  next() { return this.tokens[this.index++] }
+  position() {
+    const token = this.peek()
+    return token ? token.position : this.text.length
+  }
+
+  expect(type) {
+    const token = this.next()
+    if (!token || token.type !== type) {
+      throw new ParseError(`expected '${type}'`, token ? token.position : this.text.length)
+    }
+    return token
+  }
+
+  parseSequence() {
+    let rate = 1
+    const settings = {}
+
+    while (this.peek() && (this.peek().type === '@' || isSetting(this.peek(), this.tokens[this.index + 1]))) {
+      if (this.next().type === '@') {
+        rate = this.parseRate()
+      } else {
+        this.index--
+        Object.assign(settings, this.parseSetting())
+      }
+    }
+
+    // the scale has to be known before the steps, so their degrees can be turned into notes
+    this.scale = settings.scale || settings.root !== undefined
+      ? { name: settings.scale || 'major', root: settings.root === undefined ? 60 : settings.root }
+      : null
+
+    const steps = this.parseSteps()
+
+    // what's in the chain is told apart by name, since effects and transforms never share one
+    const effects = []
+    const transforms = []
+    while (this.peek() && this.peek().type === '|') {
+      this.next()
+      if (this.peek() && isKnown(LineTransforms, this.peek().value)) {
+        transforms.push(this.parseTransform())
+      } else {
+        effects.push(this.parseEffect())
+      }
+    }
+
+    if (this.peek()) throw new ParseError(`unexpected '${this.peek().value}'`, this.position())
+    return { type: 'sequence', mute: this.mute, solo: this.solo, rate, scale: this.scale, steps, effects, transforms }
+  }
+
+  // parses a setting from LineSettings into, e.g. { scale: 'dorian' } or { root: 62 }
+  parseSetting() {
+    const { value: name } = this.expect('word')
+    this.expect('=')
+    const position = this.position()
+    const { value } = this.expect('word')
+
+    if (name === 'scale') {
+      if (!isKnown(Scales, value)) throw new ParseError(`unknown scale '${value}'`, position)
+      return { scale: value }
+    }
+
+    const root = noteNumber(value, { octaveOptional: true })
+    if (root === null) throw new ParseError(`expected a note, got '${value}'`, position)
+    return { root }
+  }
+
+  parseEffect() {
+    const position = this.position()
+    const { value: name } = this.expect('word')
+    if (!isKnown(LineEffects, name)) throw new ParseError(`unknown effect '${name}'`, position)
+
+    const params = {}
+    const paramNames = LineEffects[name]
+    while (this.peek() && this.peek().type === 'word') {
+      if (Object.keys(params).length === paramNames.length) {
+        throw new ParseError(`too many arguments for '${name}'`, this.position())
+      }
+      params[paramNames[Object.keys(params).length]] = this.parseFraction()
+    }
+
+    return { name, params }
+  }
+
+  // parses a transform from LineTransforms, e.g. rot 2, or every 4 rev which applies
+  // another transform, into { name, params } (and the transform, for every)
+  parseTransform() {
+    const position = this.position()
+    const { value: name } = this.expect('word')
+    if (!isKnown(LineTransforms, name)) throw new ParseError(`unknown transform '${name}'`, position)
+
+    if (name === 'every') {
+      const cycles = this.parseCount()
+      if (!this.peek() || !isKnown(LineTransforms, this.peek().value)) {
+        throw new ParseError(`expected a transform after 'every ${cycles}'`, this.position())
+      }
+      return { name, params: { cycles }, transform: this.parseTransform() }
+    }
+
+    const params = {}
+    const paramNames = LineTransforms[name]
+    while (this.peek() && this.peek().type === 'word') {
+      if (Object.keys(params).length === paramNames.length) {
+        throw new ParseError(`too many arguments for '${name}'`, this.position())
+      }
+
+      const paramPosition = this.position()
+      const value = this.parseFraction()
+      if (name !== 'rot' && value <= 0) throw new ParseError(`'${name}' needs a positive number, got ${value}`, paramPosition)
+      params[paramNames[Object.keys(params).length]] = value
+    }
+
+    return { name, params }
+  }
+
+  // parses a number which can also be written as a fraction, e.g. 3/16
+  parseFraction() {
+    const position = this.position()
+    const { value } = this.expect('word')
+    const [a, b, ...rest] = value.split('/')
+    const number = b === undefined ? Number(a) : a / b
+
+    if (rest.length || a === '' || b === '' || !isFinite(number)) {
+      throw new ParseError(`expected a number, got '${value}'`, position)
+    }
+    return number
+  }
+
+  // parses a step rate into the number of beats per step. rates can be written as,
+  //   2    two beats per step
+  //   1/4  a quarter of a beat per step
+  //   3:2  three steps in the time of two beats
+  parseRate() {
+    const position = this.position()
+    const { value } = this.expect('word')
+    const match = value.match(/^(\d*\.?\d+)(?:([/:])(\d*\.?\d+))?$/)
+    if (!match) throw new ParseError(`invalid rate '${value}'`, position)
+
+    const [, a, separator, b] = match
+    const rate = separator === '/' ? a / b
+          : separator === ':' ? b / a
+          : Number(a)
+
+    if (!isFinite(rate) || rate <= 0) throw new ParseError(`invalid rate '${value}'`, position)
+    return rate
+  }
+
+  parseSteps() {
+    const steps = []
+    while (this.peek() && ![']', '>', '|'].includes(this.peek().type)) {
+      steps.push(this.parseStep())
+    }
+    return steps
+  }
+
+  parseStep() {
+    const start = this.position()
+    let node = this.parseAtom()
+
+    if (this.peek() && this.peek().type === '(') {
+      if (node.type === 'rest') throw new ParseError('rests can not have parameters', this.position())
+
+      const open = this.position()
+      const { params, rhythm } = this.parseArgs()
+      if (Object.keys(params).length) node = { ...node, params }
+
+      if (rhythm) {
+        node = { type: 'euclid', node, ...rhythm }
+        const atom = this.text.slice(start, open).trim()
+        this.generators.push({
+          start: open,
+          end: this.tokens[this.index - 1].position + 1,
+          expansion: euclid(rhythm.pulses, rhythm.steps, rhythm.rotation).map(hit => hit ? atom : '_').join(' '),
+        })
+      }
+    }
+
+    while (this.peek() && ['*', '?', '!'].includes(this.peek().type)) {
+      const token = this.next()
+      node = token.type === '*' ? { type: 'repeat', node, count: this.parseCount(MaxExpansion) }
+        : token.type === '!' ? { type: 'every', node, count: this.parseCount() }
+        : { type: 'chance', node, chance: this.parseChance(token) }
+    }
+
+    return node
+  }
+
+  // parses the chance of a step playing after its ?, which is a half unless one
+  // is right up against it (so hat? snare is two steps)
+  parseChance(mark) {
+    const next = this.peek()
+    if (!next || next.type !== 'word' || next.position !== mark.position + 1) return 0.5
+
+    const position = this.position()
+    const chance = this.parseNumber()
+    if (chance < 0 || chance > 1) throw new ParseError(`a chance must be between 0 and 1, got ${chance}`, position)
+    return chance
+  }
+
+  parseCount(max = Infinity) {
+    const position = this.position()
+    const { value } = this.expect('word')
+    const count = Number(value)
+    if (!Number.isInteger(count) || count < 1) {
+      throw new ParseError(`count must be a positive integer, got '${value}'`, position)
+    }
+    if (count > max) throw new ParseError(`count can be at most ${max}, got ${count}`, position)
+    return count
+  }
+
+  // parses the arguments of a step, which are named params, e.g. (vol=0.5), and
+  // positional arguments for a euclidean rhythm, e.g. (3,8) or (5,8,2, vol=0.5).
+  // returns { params, rhythm } where rhythm is { pulses, steps, rotation } or null.
+  parseArgs() {
+    const params = {}
+    const positional = []
+
+    const open = this.expect('(')
+    do {
+      const position = this.position()
+      const next = this.tokens[this.index + 1]
+      if (next && next.type === '=') {
+        const { value: name } = this.expect('word')
+        if (!isKnown(StepParams, name)) throw new ParseError(`unknown parameter '${name}'`, position)
+        this.expect('=')
+        params[name] = this.parseNumber()
+      } else {
+        if (Object.keys(params).length) throw new ParseError('rhythms go before parameters', position)
+        positional.push({ value: this.parseNumber(), position })
+      }
+    } while (this.peek() && this.peek().type === ',' && this.next())
+    this.expect(')')
+
+    return { params, rhythm: positional.length ? parseRhythm(positional, open.position) : null }
+  }
+
+  parseNumber() {
+    // + can't be a part of a word, so numbers like pitch=+3 are split in two
+    if (this.peek() && this.peek().type === '+') this.next()
+
+    const position = this.position()
+    const { value } = this.expect('word')
+    // numbers too big for a double (1e999) or Infinity can't be played, so aren't numbers here
+    const number = Number(value)
+    if (value === '' || !isFinite(number)) throw new ParseError(`expected a number, got '${value}'`, position)
+    return number
+  }
+
+  // sounds joined by + play at once, and so do the notes of a chord, so either
+  // makes a stack of words unless there's only the one
+  parseStack() {
+    const words = this.parseSound()
+
+    while (this.peek() && this.peek().type === '+') {
+      this.next()
+      const token = this.peek()
+      if (!token || token.type !== 'word' || RestSymbols.includes(token.value)) {
+        throw new ParseError(`expected a sound after '+'`, this.position())
+      }
+      words.push(...this.parseSound())
+    }
+
+    return words.length === 1 ? words[0] : { type: 'stack', steps: words }
+  }
+
+  // parses a sound word into a list of words, one for each note of it if it's a chord.
+  // a word with constraints is a different sound to the same word without them
+  // (or with other constraints), so they are a part of its value.
+  parseSound() {
+    const token = this.expect('word')
+    const chord = isChord(token, this.peek())
+    const { word, note } = chord ? { word: token.value.slice(0, -1) } : splitNote(token.value, this.scale)
+    const notes = chord ? this.parseChord() : [note]
+
+    let constraints = null
+    if (this.peek() && this.peek().type === 'constraints') {
+      constraints = this.next()
+      if (!constraints.closed) throw new ParseError(`expected '}'`, this.text.length)
+    }
+
+    return notes.map(note => ({
+      type: 'word',
+      value: constraints ? constrainedWord(word, constraints.value) : word,
+      ...(constraints ? { constraints: parseConstraints(constraints.value, constraints.position + 1) } : {}),
+      ...(note !== null ? { note } : {}),
+    }))
+  }
+
+  // parses the notes of a chord into midi note numbers, e.g. <C4 E4 G4> or on a line
+  // with a scale, <1 3 5>
+  parseChord() {
+    this.expect('<')
+
+    const notes = []
+    while (this.peek() && this.peek().type === 'word') {
+      const position = this.position()
+      const { value } = this.next()
+      const note = parseNote(value, this.scale)
+      if (note === null) {
+        throw new ParseError(/^-?\d+$/.test(value)
+                             ? `degrees can only be played on lines with a scale, got '${value}'`
+                             : `expected a note, got '${value}'`, position)
+      }
+      notes.push(note)
+    }
+
+    if (!notes.length) throw new ParseError('chords need at least one note', this.position())
+    this.expect('>')
+    return notes
+  }
+
+  parseAtom() {
+    const token = this.peek()
+    if (!token) throw new ParseError('unexpected end of line', this.text.length)
+
+    switch (token.type) {
+    case '[':
+      this.next()
+      const steps = this.parseSteps()
+      this.expect(']')
+      return { type: 'group', steps }
+    case '<':
+      this.next()
+      const choices = this.parseSteps()
+      if (!choices.length) throw new ParseError('alternations need at least one step', this.position())
+      this.expect('>')
+      return { type: 'alternate', steps: choices }
+    case 'word':
+      this.next()
+      if (RestSymbols.includes(token.value)) {
+        if (this.peek() && this.peek().type === 'constraints') {
+          throw new ParseError('rests can not have constraints', this.position())
+        }
+        return { type: 'rest' }
+      }
+      this.index--
+      return this.parseStack()
+    default:
+      throw new ParseError(`unexpected '${token.type === 'constraints' ? '{' : token.value}'`, token.position)
+    }
+  }
+}
+
+// checks the positional arguments of a step make a euclidean rhythm, i.e. a number
+// of pulses, a number of steps and optionally a rotation, e.g. (5,8,2)
+const parseRhythm = (args, position) => {
+  if (args.length < 2 || args.length > 3) {
+    throw new ParseError(`a rhythm needs pulses, steps and maybe a rotation, got ${args.length} numbers`, position)
+  }
+
+  const [pulses, steps, rotation = { value: 0 }] = args
+  for (const { value, position } of args) {
+    if (!Number.isInteger(value)) throw new ParseError(`expected a whole number, got '${value}'`, position)
+  }
+  if (steps.value < 1) throw new ParseError(`a rhythm needs at least one step, got ${steps.value}`, steps.position)
+  if (steps.value > MaxExpansion) {
+    throw new ParseError(`a rhythm can have at most ${MaxExpansion} steps, got ${steps.value}`, steps.position)
+  }
+  if (pulses.value < 0 || pulses.value > steps.value) {
+    throw new ParseError(`a rhythm can have between 0 and ${steps.value} pulses, got ${pulses.value}`, pulses.position)
+  }
+
+  return { pulses: pulses.value, steps: steps.value, rotation: rotation.value }
+}
+
+// whitespace is dropped from constraints so that however they're written, the
+// same constraints always make the same sound word
+const constrainedWord = (word, constraints) => `${word}{${constraints.replace(/\s+/g, '')}}`
+
+// parses a line of text into a pattern tree. throws a ParseError if the
+// text is not a valid pattern (e.g. an unclosed group while typing).
+export const parse = text => new Parser(text).parseSequence()
+
+// where the euclidean rhythms in a line of text are and the steps they expand to, e.g. in 'kick(3,8) hat'
+//   [ { start: 4, end: 9, expansion: 'kick _ _ kick _ _ kick _' } ]
+// where start and end are around the arguments. lines which don't parse (e.g. while
+// they're being typed) have the rhythms which come before the error.
+export const generatorRanges = text => {
+  const parser = new Parser(text)
+  try {
+    parser.parseSequence()
+  } catch (err) {
+    if (!(err instanceof ParseError)) throw err
+  }
+  return parser.generators
+}
+
+// the sound words in a line of text and where they are, e.g. in 'kick+hat{dur<1} piano:<C4 E4>'
+//   [ { word: 'kick', start: 0, end: 4 }, { word: 'hat{dur<1}', start: 5, end: 15 }, { word: 'piano', start: 16, end: 29 } ]
+// this works on lines which don't parse too, so anything that looks like a word counts.
+export const soundWordRanges = text => {
+  const { tokens } = new Parser(text)
+  const ranges = []
+
+  // only whether there's a scale matters here, since degrees are split off of words either way
+  const scale = tokens.some((token, idx) => isSetting(token, tokens[idx + 1])) ? { name: 'major', root: 60 } : null
+
+  for (let idx = 0; idx < tokens.length; idx++) {
+    const token = tokens[idx]
+    if (token.type !== 'word' || RestSymbols.includes(token.value)) continue
+
+    let { word } = splitNote(token.value, scale)
+    let end = token.end
+
+    // the notes of a chord are a part of the word they're attached to
+    if (isChord(token, tokens[idx + 1])) {
+      word = word.slice(0, -1)
+      idx++
+      while (tokens[idx + 1] && tokens[idx + 1].type === 'word') idx++
+      if (tokens[idx + 1] && tokens[idx + 1].type === '>') idx++
+      end = tokens[idx].end || tokens[idx].position + 1
+    }
+
+    const next = tokens[idx + 1]
+    ranges.push(next && next.type === 'constraints' && next.closed
+                ? { word: constrainedWord(word, next.value), start: token.position, end: next.end }
+                : { word, start: token.position, end })
+  }
+
+  return ranges
+}
@@ -0,0 +1,457 @@
+import { generatorRanges, parse, ParseError, soundWordRanges } from './parser'
+import { compile } from './events'
+
+describe('parse', () => {
+  test('parses a flat list of words', () => {
+    expect(parse('kick snare')).toEqual({
+      type: 'sequence',
+      mute: false,
+      solo: false,
+      rate: 1,
+      scale: null,
+      steps: [
+        { type: 'word', value: 'kick' },
+        { type: 'word', value: 'snare' },
+      ],
+      effects: [],
+      transforms: [],
+    })
+  })
+
+  test('parses rests', () => {
+    expect(parse('_ ~').steps).toEqual([{ type: 'rest' }, { type: 'rest' }])
+  })
+
+  test('parses nested groups', () => {
+    expect(parse('[kick [hat hat]]').steps).toEqual([
+      {
+        type: 'group',
+        steps: [
+          { type: 'word', value: 'kick' },
+          { type: 'group', steps: [{ type: 'word', value: 'hat' }, { type: 'word', value: 'hat' }] },
+        ]
+      }
+    ])
+  })
+
+  test('parses repetition', () => {
+    expect(parse('kick*4').steps).toEqual([
+      { type: 'repeat', count: 4, node: { type: 'word', value: 'kick' } }
+    ])
+    expect(parse('[kick hat]*2').steps[0].node.type).toEqual('group')
+  })
+
+  test('ignores extra whitespace', () => {
+    expect(parse('  kick   [ hat ]  ')).toEqual(parse('kick [hat]'))
+  })
+
+  test('throws on unclosed groups', () => {
+    expect(() => parse('[kick hat')).toThrow(ParseError)
+  })
+
+  test('throws on unmatched closing brackets', () => {
+    expect(() => parse('kick ]')).toThrow(ParseError)
+  })
+
+  test('throws on invalid repeat counts', () => {
+    expect(() => parse('kick*0')).toThrow(ParseError)
+    expect(() => parse('kick*x')).toThrow(ParseError)
+    expect(() => parse('kick*')).toThrow(ParseError)
+    expect(() => parse('kick*64')).not.toThrow()
+    expect(() => parse('kick*65')).toThrow('count can be at most 64')
+    expect(() => parse('kick*1e9')).toThrow(ParseError)
+  })
+})
+
+describe('parse params', () => {
+  test('parses step parameters', () => {
+    expect(parse('hat(pan=-0.5, len=0.1) snare(pitch=+3)').steps).toEqual([
+      { type: 'word', value: 'hat', params: { pan: -0.5, len: 0.1 } },
+      { type: 'word', value: 'snare', params: { pitch: 3 } },
+    ])
+  })
+
+  test('parses envelopes, gates and choke groups', () => {
+    expect(parse('ohat(atk=0.01, dec=0.1, sus=0.5, rel=0.2, choke=1) hat(gate=1, choke=1)').steps.map(s => s.params)).toEqual([
+      { atk: 0.01, dec: 0.1, sus: 0.5, rel: 0.2, choke: 1 },
+      { gate: 1, choke: 1 },
+    ])
+  })
+
+  test('parses parameters on groups and repeated steps', () => {
+    expect(parse('[kick hat](vol=0.5)').steps[0].params).toEqual({ vol: 0.5 })
+    expect(parse('kick(vol=0.6)*2').steps[0]).toEqual({
+      type: 'repeat',
+      count: 2,
+      node: { type: 'word', value: 'kick', params: { vol: 0.6 } },
+    })
+  })
+
+  test('throws on invalid parameters', () => {
+    expect(() => parse('kick(loud=1)')).toThrow(ParseError)
+    expect(() => parse('kick(constructor=1)')).toThrow(ParseError)
+    expect(() => parse('kick(toString=2)')).toThrow(ParseError)
+    expect(() => parse('kick(vol=loud)')).toThrow(ParseError)
+    expect(() => parse('kick(vol=1e999)')).toThrow(ParseError)
+    expect(() => parse('kick(pitch=-Infinity)')).toThrow(ParseError)
+    expect(() => parse('kick(3,1e999)')).toThrow(ParseError)
+    expect(() => parse('kick(vol=1')).toThrow(ParseError)
+    expect(() => parse('_(vol=1)')).toThrow(ParseError)
+  })
+})
+
+describe('parse directives', () => {
+  test('parses step rates', () => {
+    expect(parse('@1/4 hat').rate).toEqual(0.25)
+    expect(parse('@3:2 kick kick kick').rate).toEqual(2/3)
+    expect(parse('@2 kick').rate).toEqual(2)
+    expect(parse('@0.5 kick').rate).toEqual(0.5)
+  })
+
+  test('parses mute and solo prefixes', () => {
+    expect(parse('-kick snare')).toMatchObject({ mute: true, solo: false })
+    expect(parse('  !@1/4 kick')).toMatchObject({ mute: false, solo: true, rate: 0.25 })
+    expect(parse('kick(pan=-1)')).toMatchObject({ mute: false, solo: false })
+  })
+
+  test('throws on invalid rates', () => {
+    expect(() => parse('@ kick')).toThrow(ParseError)
+    expect(() => parse('@0 kick')).toThrow(ParseError)
+    expect(() => parse('@1/0 kick')).toThrow(ParseError)
+    expect(() => parse('kick @2')).toThrow(ParseError)
+  })
+})
+
+describe('parse effects', () => {
+  test('parses a chain of effects', () => {
+    expect(parse('kick snare | lpf 800 | delay 3/16 0.4 | reverb').effects).toEqual([
+      { name: 'lpf', params: { freq: 800 } },
+      { name: 'delay', params: { time: 3/16, feedback: 0.4 } },
+      { name: 'reverb', params: {} },
+    ])
+  })
+
+  test('parses negative arguments', () => {
+    expect(parse('kick | comp -30 8').effects).toEqual([
+      { name: 'comp', params: { threshold: -30, ratio: 8 } },
+    ])
+  })
+
+  test('throws on invalid effects', () => {
+    expect(() => parse('kick | wobble 3')).toThrow(ParseError)
+    expect(() => parse('kick | constructor')).toThrow(ParseError)
+    expect(() => parse('kick | lpf 800 1 2')).toThrow(ParseError)
+    expect(() => parse('kick | lpf high')).toThrow(ParseError)
+    expect(() => parse('kick | delay 3/')).toThrow(ParseError)
+    expect(() => parse('kick |')).toThrow(ParseError)
+    expect(() => parse('kick | lpf 800 snare')).toThrow(ParseError)
+  })
+})
+
+describe('parse transforms', () => {
+  test('tells transforms and effects apart', () => {
+    const { effects, transforms } = parse('kick snare | rev | lpf 800 | rot 2 | every 4 fast 3/2 | palindrome')
+    expect(effects).toEqual([{ name: 'lpf', params: { freq: 800 } }])
+    expect(transforms).toEqual([
+      { name: 'rev', params: {} },
+      { name: 'rot', params: { steps: 2 } },
+      { name: 'every', params: { cycles: 4 }, transform: { name: 'fast', params: { times: 1.5 } } },
+      { name: 'palindrome', params: {} },
+    ])
+  })
+
+  test('throws on invalid transforms', () => {
+    expect(() => parse('kick | rev 2')).toThrow(ParseError)
+    expect(() => parse('kick | rot 1 2')).toThrow(ParseError)
+    expect(() => parse('kick | fast 0')).toThrow(ParseError)
+    expect(() => parse('kick | slow -2')).toThrow(ParseError)
+    expect(() => parse('kick | every 4')).toThrow(ParseError)
+    expect(() => parse('kick | every 0 rev')).toThrow(ParseError)
+    expect(() => parse('kick | every 4 lpf 800')).toThrow(ParseError)
+    expect(() => parse('kick | __proto__')).toThrow(ParseError)
+    expect(() => parse('kick | toString')).toThrow(ParseError)
+    expect(() => parse('kick | every 2 toString')).toThrow(ParseError)
+  })
+})
+
+describe('parse constraints', () => {
+  test('parses constraints into the sound word', () => {
+    expect(parse('kick{dur<0.5, license=cc0, sort=rating}*2').steps[0]).toEqual({
+      type: 'repeat',
+      count: 2,
+      node: {
+        type: 'word',
+        value: 'kick{dur<0.5,license=cc0,sort=rating}',
+        constraints: [
+          { key: 'dur', op: '<', value: 0.5 },
+          { key: 'license', op: '=', value: 'cc0' },
+          { key: 'sort', op: '=', value: 'rating' },
+        ],
+      },
+    })
+  })
+
+  test('keeps differently constrained words apart', () => {
+    const words = parse('kick kick{dur<0.5} kick{ dur < 0.5 } fs:kick{tag=808}(vol=0.5)').steps.map(s => s.value)
+    expect(words).toEqual(['kick', 'kick{dur<0.5}', 'kick{dur<0.5}', 'fs:kick{tag=808}'])
+  })
+
+  test('throws on invalid constraints', () => {
+    expect(() => parse('kick{dur<0.5')).toThrow(ParseError)
+    expect(() => parse('kick{loud=1}')).toThrow(ParseError)
+    expect(() => parse('kick{constructor=1}')).toThrow(ParseError)
+    expect(() => parse('kick{dur<short}')).toThrow(ParseError)
+    expect(() => parse('kick{dur<1e999}')).toThrow(ParseError)
+    expect(() => parse('kick{license<cc0}')).toThrow(ParseError)
+    expect(() => parse('kick{license=mine}')).toThrow(ParseError)
+    expect(() => parse('_{dur<1}')).toThrow(ParseError)
+    expect(() => parse('[kick]{dur<1}')).toThrow(ParseError)
+    expect(() => parse('kick dur<1}')).toThrow(ParseError)
+  })
+})
+
+describe('parse notes', () => {
+  test('splits notes off of words', () => {
+    expect(parse('piano:C4 piano:F#3 piano piano:Eb5{root=A3}').steps).toEqual([
+      { type: 'word', value: 'piano', note: 60 },
+      { type: 'word', value: 'piano', note: 54 },
+      { type: 'word', value: 'piano' },
+      { type: 'word', value: 'piano{root=A3}', note: 75, constraints: [{ key: 'root', op: '=', value: 'A3' }] },
+    ])
+  })
+
+  test('leaves words which only look like notes alone', () => {
+    expect(parse('sine:440 fs:c4 piano:3').steps.map(s => s.value)).toEqual(['sine:440', 'fs:c4', 'piano:3'])
+  })
+
+  test('plays degrees of the scale of a line', () => {
+    const ast = parse('scale=dorian root=D piano:1 piano:3 [piano:8 piano:0]')
+    expect(ast.scale).toEqual({ name: 'dorian', root: 62 })
+    expect(ast.steps[1]).toEqual({ type: 'word', value: 'piano', note: 65 })
+    expect(ast.steps[2].steps.map(s => s.note)).toEqual([74, 60])
+  })
+
+  test('defaults the scale and root', () => {
+    expect(parse('root=A2 piano:3').scale).toEqual({ name: 'major', root: 45 })
+    expect(parse('@1/2 scale=minor piano:3').scale).toEqual({ name: 'minor', root: 60 })
+    expect(parse('@1/2 scale=minor piano:3').steps[0].note).toEqual(63)
+  })
+
+  test('compiles notes into params', () => {
+    expect(compile(parse('piano:C4(vol=0.5) kick')).events.map(e => e.params)).toEqual([
+      { vol: 0.5, note: 60 },
+      {},
+    ])
+  })
+
+  test('throws on invalid settings', () => {
+    expect(() => parse('scale=wonky piano:1')).toThrow(ParseError)
+    expect(() => parse('scale=toString piano:1')).toThrow(ParseError)
+    expect(() => parse('constructor=C kick')).toThrow(ParseError)
+    expect(() => parse('root=H piano:1')).toThrow(ParseError)
+    expect(() => parse('piano{root=low}')).toThrow(ParseError)
+    expect(() => parse('scale= piano:1')).toThrow(ParseError)
+  })
+})
+
+describe('parse stacks', () => {
+  test('stacks sounds joined by +', () => {
+    expect(parse('kick+clap{dur<1}*2').steps).toEqual([{
+      type: 'repeat',
+      count: 2,
+      node: {
+        type: 'stack',
+        steps: [
+          { type: 'word', value: 'kick' },
+          { type: 'word', value: 'clap{dur<1}', constraints: [{ key: 'dur', op: '<', value: 1 }] },
+        ],
+      },
+    }])
+  })
+
+  test('stacks the notes of chords', () => {
+    expect(parse('piano:<C4 E4 G4>(vol=0.5) kick+bass:<C2>').steps).toEqual([
+      {
+        type: 'stack',
+        steps: [60, 64, 67].map(note => ({ type: 'word', value: 'piano', note })),
+        params: { vol: 0.5 },
+      },
+      { type: 'stack', steps: [{ type: 'word', value: 'kick' }, { type: 'word', value: 'bass', note: 36 }] },
+    ])
+  })
+
+  test('plays chords of degrees and with constraints', () => {
+    expect(parse('scale=minor root=A3 piano:<1 3 5>').steps[0].steps.map(s => s.note)).toEqual([57, 60, 64])
+    expect(parse('piano:<C4 G4>{root=A3}').steps[0].steps[1]).toEqual({
+      type: 'word', value: 'piano{root=A3}', note: 67, constraints: [{ key: 'root', op: '=', value: 'A3' }],
+    })
+  })
+
+  test('still takes signed params', () => {
+    expect(parse('snare(pitch=+3)').steps[0].params).toEqual({ pitch: 3 })
+  })
+
+  test('throws on invalid stacks and chords', () => {
+    expect(() => parse('kick+')).toThrow(ParseError)
+    expect(() => parse('kick+_')).toThrow(ParseError)
+    expect(() => parse('kick++clap')).toThrow(ParseError)
+    expect(() => parse('piano:<>')).toThrow(ParseError)
+    expect(() => parse('piano:<C4 E4')).toThrow(ParseError)
+    expect(() => parse('piano:<C4 high>')).toThrow(ParseError)
+    expect(() => parse('piano:<1 3 5>')).toThrow('degrees can only be played on lines with a scale')
+  })
+})
+
+describe('parse euclidean rhythms', () => {
+  test('parses positional arguments into a rhythm', () => {
+    expect(parse('kick(3,8) hat(5, 8, 2, vol=0.5)*2').steps).toEqual([
+      { type: 'euclid', node: { type: 'word', value: 'kick' }, pulses: 3, steps: 8, rotation: 0 },
+      {
+        type: 'repeat',
+        count: 2,
+        node: {
+          type: 'euclid',
+          node: { type: 'word', value: 'hat', params: { vol: 0.5 } },
+          pulses: 5,
+          steps: 8,
+          rotation: 2,
+        },
+      },
+    ])
+  })
+
+  test('expands into steps', () => {
+    const { length, events } = compile(parse('kick(3,8) _ [hat(2,3) snare]'))
+    expect(length).toEqual(10)
+    expect(events.map(e => [e.word, e.time])).toEqual([
+      ['kick', 0], ['kick', 3], ['kick', 6], ['hat', 9], ['hat', 9.5], ['snare', 9.75],
+    ])
+  })
+
+  test('rotates and keeps params', () => {
+    const { events } = compile(parse('[kick+clap](1,4,-1, vol=0.5)'))
+    expect(events).toEqual([
+      { word: 'kick', time: 1, duration: 1, step: 1, params: { vol: 0.5 } },
+      { word: 'clap', time: 1, duration: 1, step: 1, params: { vol: 0.5 } },
+    ])
+  })
+
+  test('throws on invalid rhythms', () => {
+    expect(() => parse('kick(3)')).toThrow(ParseError)
+    expect(() => parse('kick(3,8,1,2)')).toThrow(ParseError)
+    expect(() => parse('kick(9,8)')).toThrow(ParseError)
+    expect(() => parse('kick(3,0)')).toThrow(ParseError)
+    expect(() => parse('kick(1,64)')).not.toThrow()
+    expect(() => parse('kick(1,65)')).toThrow('a rhythm can have at most 64 steps')
+    expect(() => parse('kick(1,1e9)')).toThrow(ParseError)
+    expect(() => parse('kick(1.5,8)')).toThrow(ParseError)
+    expect(() => parse('kick(vol=0.5, 3, 8)')).toThrow('rhythms go before parameters')
+    expect(() => parse('_(3,8)')).toThrow(ParseError)
+  })
+})
+
+describe('parse conditional steps', () => {
+  test('parses chances', () => {
+    expect(parse('hat?0.3 hat? snare').steps).toEqual([
+      { type: 'chance', node: { type: 'word', value: 'hat' }, chance: 0.3 },
+      { type: 'chance', node: { type: 'word', value: 'hat' }, chance: 0.5 },
+      { type: 'word', value: 'snare' },
+    ])
+  })
+
+  test('parses every n cycles', () => {
+    expect(parse('snare!3 [kick hat]!2?0.5').steps).toEqual([
+      { type: 'every', node: { type: 'word', value: 'snare' }, count: 3 },
+      {
+        type: 'chance',
+        node: {
+          type: 'every',
+          node: { type: 'group', steps: [{ type: 'word', value: 'kick' }, { type: 'word', value: 'hat' }] },
+          count: 2,
+        },
+        chance: 0.5,
+      },
+    ])
+  })
+
+  test('parses alternations', () => {
+    expect(parse('<kick [snare snare] _>(vol=0.5) <hat>').steps).toEqual([
+      {
+        type: 'alternate',
+        steps: [
+          { type: 'word', value: 'kick' },
+          { type: 'group', steps: [{ type: 'word', value: 'snare' }, { type: 'word', value: 'snare' }] },
+          { type: 'rest' },
+        ],
+        params: { vol: 0.5 },
+      },
+      { type: 'alternate', steps: [{ type: 'word', value: 'hat' }] },
+    ])
+  })
+
+  test('only makes chords of notes attached to a word', () => {
+    expect(parse('piano: <C4 E4>').steps[0].type).toEqual('stack')
+    expect(parse('piano <C4 E4>').steps[1].type).toEqual('alternate')
+  })
+
+  test('still solos lines', () => {
+    const ast = parse('!kick snare!2')
+    expect(ast.solo).toEqual(true)
+    expect(ast.steps[1].type).toEqual('every')
+  })
+
+  test('throws on invalid conditions', () => {
+    expect(() => parse('hat?2')).toThrow(ParseError)
+    expect(() => parse('hat?-0.5')).toThrow(ParseError)
+    expect(() => parse('hat?x')).toThrow(ParseError)
+    expect(() => parse('snare!0')).toThrow(ParseError)
+    expect(() => parse('snare!')).toThrow(ParseError)
+    expect(() => parse('<>')).toThrow(ParseError)
+    expect(() => parse('<kick snare')).toThrow(ParseError)
+    expect(() => parse('kick snare>')).toThrow(ParseError)
+  })
+})
+
+describe('generatorRanges', () => {
+  test('finds rhythms and what they expand to', () => {
+    expect(generatorRanges('kick(3,8) [hat snare]( 2,3 ) clap')).toEqual([
+      { start: 4, end: 9, expansion: 'kick _ _ kick _ _ kick _' },
+      { start: 21, end: 28, expansion: '[hat snare] _ [hat snare]' },
+    ])
+  })
+
+  test('keeps the rhythms before an error', () => {
+    expect(generatorRanges('kick(1,2) [hat')).toEqual([{ start: 4, end: 9, expansion: 'kick _' }])
+  })
+})
+
+describe('soundWordRanges', () => {
+  test('finds sound words and where they are', () => {
+    expect(soundWordRanges('-kick [hat{dur<1, tag=808} _](vol=0.5)')).toEqual([
+      { word: 'kick', start: 1, end: 5 },
+      { word: 'hat{dur<1,tag=808}', start: 7, end: 26 },
+      { word: 'vol', start: 30, end: 33 },
+      { word: '0.5', start: 34, end: 37 },
+    ])
+  })
+
+  test('leaves notes out of sound words', () => {
+    expect(soundWordRanges('scale=minor piano:3 sine:A3').filter(r => r.word === 'piano' || r.word === 'sine')).toEqual([
+      { word: 'piano', start: 12, end: 19 },
+      { word: 'sine', start: 20, end: 27 },
+    ])
+  })
+
+  test('splits stacks and keeps chords with their words', () => {
+    expect(soundWordRanges('kick+hat{dur<1} piano:<C4 E4>{root=A3} bass:<C2')).toEqual([
+      { word: 'kick', start: 0, end: 4 },
+      { word: 'hat{dur<1}', start: 5, end: 15 },
+      { word: 'piano{root=A3}', start: 16, end: 38 },
+      { word: 'bass', start: 39, end: 47 },
+    ])
+  })
+
+  test('ignores unclosed constraints', () => {
+    expect(soundWordRanges('kick{dur<')).toEqual([{ word: 'kick', start: 0, end: 4 }])
+  })
+})
@@ -0,0 +1,90 @@
+import { flatMap, range, sortBy } from 'lodash'
+
+import { makeRandom } from '../random'
+import { hashString } from '../sounds/selection'
+
+const Epsilon = 1e-9
+
+const mod = (n, m) => ((n % m) + m) % m
+
+// scales time by a factor, so each cycle plays that many cycles of what it's applied to.
+// factors needn't be whole, e.g. with 2/3 every cycle plays the next two thirds of one.
+const scale = (query, cycle, length, factor) => {
+  const from = Math.floor(cycle * factor + Epsilon)
+  const to = Math.ceil((cycle + 1) * factor - Epsilon)
+  return flatMap(range(from, to), source => query(source).map(e => ({
+    ...e,
+    time: (source * length + e.time) / factor - cycle * length,
+    duration: e.duration / factor,
+  }))).filter(e => e.time > -Epsilon && e.time < length - Epsilon)
+}
+
+// what each transform does to a line which is length steps long, given a query for
+// the events on any cycle (counting from 0) of what it's applied to. transforms never
+// change how long a cycle is, only what happens in it, and can be different on every
+// cycle. events remember which cycle of the line they came from for their conditions
+// (see playsOn), even when a transform moves them to another one.
+const Transforms = {
+  // plays the cycle backwards
+  rev: (query, cycle, length) => query(cycle).map(e => ({ ...e, time: length - e.time - e.duration })),
+
+  // shifts the cycle left by some steps, so rot 1 on kick snare hat is snare hat kick
+  rot: (query, cycle, length, { steps = 1 }) => query(cycle).map(e => ({ ...e, time: mod(e.time - steps, length) })),
+
+  // squeezes that many cycles into one
+  fast: (query, cycle, length, { times = 2 }) => scale(query, cycle, length, times),
+
+  // stretches one cycle over that many
+  slow: (query, cycle, length, { times = 2 }) => scale(query, cycle, length, 1 / times),
+
+  // plays the cycle forwards and then backwards on the next
+  palindrome: (query, cycle, length) => cycle % 2 ? Transforms.rev(query, cycle, length) : query(cycle),
+
+  // plays the steps of the cycle in a different order every cycle
+  shuffle: (query, cycle, length, params, seed) => {
+    const random = makeRandom(hashString(`${seed}:${cycle}:shuffle`))
+    const order = range(length)
+    for (let i = length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1))
+      const swapped = order[i]
+      order[i] = order[j]
+      order[j] = swapped
+    }
+
+    return query(cycle).map(e => {
+      const step = Math.min(length - 1, Math.floor(e.time + Epsilon))
+      return { ...e, time: e.time - step + order[step] }
+    })
+  },
+
+  // applies another transform on the first cycle and every so many after it
+  every: (query, cycle, length, { cycles }, seed, transform) => cycle % cycles === 0
+    ? applyTransform(query, cycle, length, transform, seed)
+    : query(cycle),
+}
+
+const applyTransform = (query, cycle, length, { name, params, transform }, seed) => {
+  if (!Object.prototype.hasOwnProperty.call(Transforms, name)) throw new Error(`unknown transform '${name}'`)
+  return Transforms[name](query, cycle, length, params, seed, transform)
+}
+
+// the events of a pattern on a cycle of its line (counting from 0), after its
+// transforms, e.g. kick snare | every 2 rev. chances in shuffles are rolled from
+// the seed, so the same seed always shuffles the same way. events are in order
+// of time, and belong to the top level step they start in. they also have the
+// cycle they came from, which is the line's unless a transform moved them.
+export const cycleEvents = (pattern, cycle, seed = 0) => {
+  const { events, length, transforms = [] } = pattern
+  if (!transforms.length || length === 0) return events
+
+  // each transform queries the cycles of the one before it, down to the line itself
+  const query = transforms.reduce(
+    (query, transform) => cycle => applyTransform(query, cycle, length, transform, seed),
+    cycle => events.map(e => ({ ...e, cycle })),
+  )
+
+  return sortBy(query(cycle), e => e.time).map(e => ({
+    ...e,
+    step: Math.max(0, Math.min(length - 1, Math.floor(e.time + Epsilon))),
+  }))
+}
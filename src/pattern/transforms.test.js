@@ -0,0 +1,103 @@
+import { parse } from './parser'
+import { compile, playsOn } from './events'
+import { cycleEvents } from './transforms'
+
+// the words and times of a line on each of the given cycles
+const played = (line, cycles, seed = 0) => cycles.map(cycle => cycleEvents(compile(parse(line)), cycle, seed)
+                                                      .filter(e => playsOn(e, cycle, () => 0))
+                                                      .map(e => `${e.word}@${e.time}`)
+                                                      .join(' '))
+
+describe('cycleEvents', () => {
+  test('leaves lines without transforms alone', () => {
+    const pattern = compile(parse('kick snare'))
+    expect(cycleEvents(pattern, 3)).toBe(pattern.events)
+  })
+
+  test('reverses', () => {
+    expect(played('kick [hat snare] clap | rev', [0])).toEqual(['clap@0 snare@1 hat@1.5 kick@2'])
+  })
+
+  test('rotates', () => {
+    expect(played('kick snare hat | rot 1', [0])).toEqual(['snare@0 hat@1 kick@2'])
+    expect(played('kick snare hat | rot -1', [0])).toEqual(['hat@0 kick@1 snare@2'])
+    expect(played('kick snare hat | rot', [0])).toEqual(['snare@0 hat@1 kick@2'])
+  })
+
+  test('squeezes cycles in with fast', () => {
+    expect(played('kick snare | fast 2', [0])).toEqual(['kick@0 snare@0.5 kick@1 snare@1.5'])
+    expect(played('<kick clap> snare | fast 2', [0, 1])).toEqual([
+      'kick@0 snare@0.5 clap@1 snare@1.5',
+      'kick@0 snare@0.5 clap@1 snare@1.5',
+    ])
+  })
+
+  test('stretches cycles out with slow', () => {
+    expect(played('kick snare hat clap | slow 2', [0, 1, 2])).toEqual(['kick@0 snare@2', 'hat@0 clap@2', 'kick@0 snare@2'])
+    expect(played('<kick clap> snare | slow 2', [0, 1, 2, 3])).toEqual(['kick@0', 'snare@0', 'clap@0', 'snare@0'])
+  })
+
+  test('carries on across cycles with fractional factors', () => {
+    expect(played('a b c d | fast 4/3', [0, 1, 2, 3])).toEqual([
+      'a@0 b@0.75 c@1.5 d@2.25 a@3 b@3.75',
+      'c@0.5 d@1.25 a@2 b@2.75 c@3.5',
+      'd@0.25 a@1 b@1.75 c@2.5 d@3.25',
+      'a@0 b@0.75 c@1.5 d@2.25 a@3 b@3.75',
+    ])
+    expect(played('kick snare hat clap | slow 3/2', [0, 1, 2, 3])).toEqual([
+      'kick@0 snare@1.5 hat@3',
+      'clap@0.5 kick@2 snare@3.5',
+      'hat@1 clap@2.5',
+      'kick@0 snare@1.5 hat@3',
+    ])
+  })
+
+  test('squeezes in the cycles of the transforms before it', () => {
+    expect(played('kick snare | every 2 rev | fast 2', [0])).toEqual(['snare@0 kick@0.5 kick@1 snare@1.5'])
+    expect(played('kick snare | palindrome | slow 2', [0, 1, 2, 3])).toEqual(['kick@0', 'snare@0', 'snare@0', 'kick@0'])
+  })
+
+  test('goes back and forth with palindrome', () => {
+    expect(played('kick snare hat | palindrome', [0, 1, 2])).toEqual([
+      'kick@0 snare@1 hat@2',
+      'hat@0 snare@1 kick@2',
+      'kick@0 snare@1 hat@2',
+    ])
+  })
+
+  test('applies transforms every so many cycles', () => {
+    expect(played('kick snare hat | every 3 rev', [0, 1, 2, 3])).toEqual([
+      'hat@0 snare@1 kick@2',
+      'kick@0 snare@1 hat@2',
+      'kick@0 snare@1 hat@2',
+      'hat@0 snare@1 kick@2',
+    ])
+    expect(played('kick snare | every 2 every 2 rev', [0, 2, 4])).toEqual(['snare@0 kick@1', 'snare@0 kick@1', 'snare@0 kick@1'])
+  })
+
+  test('shuffles steps from the seed', () => {
+    const cycles = [0, 1, 2, 3, 4, 5, 6, 7]
+    const takes = played('kick [hat hat] snare clap | shuffle', cycles, 7)
+
+    expect(played('kick [hat hat] snare clap | shuffle', cycles, 7)).toEqual(takes)
+    expect(played('kick [hat hat] snare clap | shuffle', cycles, 8)).not.toEqual(takes)
+    expect(new Set(takes).size).toBeGreaterThan(1)
+    for (const take of takes) {
+      const events = take.split(' ').map(e => e.split('@'))
+      expect(events.map(([word]) => word).sort()).toEqual(['clap', 'hat', 'hat', 'kick', 'snare'])
+
+      // subdivided steps move as a whole
+      const hats = events.filter(([word]) => word === 'hat').map(([, time]) => Number(time))
+      expect(hats[1] - hats[0]).toBe(0.5)
+    }
+  })
+
+  test('applies transforms in order and keeps steps in line', () => {
+    const events = cycleEvents(compile(parse('kick snare hat | rot 1 | rev')), 0)
+    expect(events.map(e => [e.word, e.time, e.step])).toEqual([['kick', 0, 0], ['hat', 1, 1], ['snare', 2, 2]])
+  })
+  test('only knows its own transforms', () => {
+    const pattern = { ...compile(parse('kick snare')), transforms: [{ name: 'toString', params: {} }] }
+    expect(() => cycleEvents(pattern, 0)).toThrow("unknown transform 'toString'")
+  })
+})
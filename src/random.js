@@ -0,0 +1,14 @@
+// a small seeded pseudo random number generator (mulberry32). anything that
+// needs to sound the same every time it is rendered should use this rather
+// than Math.random. returns a function which returns numbers in [0, 1).
+export const makeRandom = seed => {
+  let state = seed >>> 0
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
@@ -1,16 +1,52 @@
-import { reduce, filter, values, keys, intersection, xor } from 'lodash'
+import { flatMap, findIndex, values, keys, intersection, xor, isEqual, mapValues, fromPairs, isNil } from 'lodash'
 import Recorder from 'recorder-js'
+import { Transport } from './transport'
+import { EffectChain } from './effects'
+import { Mixer } from './mixer'
+import { StemModes, downloadRecordedStems } from './export/stems'
+import { downloadCredits, makeCredits } from './export/credits'
+import { analyzeSample, prepareOptions, prepareSample, sampleRoot } from './sounds/analysis'
+import { sourceWord } from './sounds/providers'
+import { ChokeGroups, ChokeTime, envelopePoints, noteEnvelope } from './voices'
+import { eventRandom, playsOn } from './pattern/events'
+import { cycleEvents } from './pattern/transforms'
 
 
+// the boundaries on which edits to existing sequences can take effect
+export const Quantize = {
+  Immediate: 'immediate', // as soon as possible
+  Beat: 'beat',           // on the next beat
+  Bar: 'bar',             // on the next bar
+  Cycle: 'cycle',         // once the current cycle of the edited sequence has finished
+}
+
+// beats are computed in a few different ways (e.g. 3 * 2/3), so compare them with some slack
+const Epsilon = 1e-9
+const DefaultRoot = 60 // what notes are played relative to for sounds without a root (C4)
+
 export class Scheduler {
-  constructor(audioContext, setCurrentStep, setAnalyzerData, bpm = 128) {
+  constructor(audioContext, setCurrentStep, setAnalyzerData, setPendingSequence, bpm = 128) {
     this.audioContext = audioContext
     this.setCurrentStep = setCurrentStep
+    this.setPendingSequence = setPendingSequence
     this.bpm = bpm
+    this.transport = new Transport(audioContext, bpm)
+    this.joinOn = 'bar'          // boundary that new sequences start on ('beat' or 'bar')
+    this.quantize = Quantize.Bar // boundary that edits to existing sequences take effect on
     this.sequences = {}
     this.lookAheadInterval = 100 // ms
+    this.scheduleAheadTime = 0.1 // how far ahead to schedule notes (seconds)
+    this.scheduledUntil = 0.0    // the time up to which notes have been scheduled
     this.timerFn = null
-    this.soundMap = {}
+    // these are all by sound word, and words can be anything, so they mustn't inherit
+    // anything either - a line with constructor in it shouldn't play Object
+    this.soundMap = Object.create(null)
+    this.chokes = new ChokeGroups() // choke groups are shared by every line (see voices.js)
+    this.soundSources = Object.create(null) // the ArrayBuffers which each sound in the soundMap was decoded from
+    this.candidates = Object.create(null)   // what each sound in the soundMap came from, for crediting them (see export/credits.js)
+    this.roots = Object.create(null)        // the note each sound in the soundMap is at, which notes are played relative to
+    this.sampleCache = null // where sample analyses are kept between sessions (see sounds/cache.js)
+    this.seed = 0          // what the chances of steps like hat?0.5 are rolled from (see pattern/events.js)
 
     // recording
     this.setAnalyzerData = setAnalyzerData
@@ -22,8 +58,15 @@ export class Scheduler {
     })
     this.mediaRecorder.init(this.mediaStreamDestination.stream)
     this.isRecording = false
+    this.stemMode = StemModes.Off
+    this.stemRecorders = {} // recorders for each line when recording stems, by sequence key
+    this.recordingStartTime = 0.0
+
+    // every sequence gets a channel in the mixer, which is what we hear and record
+    this.mixer = new Mixer(audioContext, [audioContext.destination, this.mediaStreamDestination])
 
     this.filename = 'untitled'
+    this.texts = {} // the text of each line, by sequence key
   }
 
   async setSoundMap(soundMap) {
@@ -36,150 +79,509 @@ export class Scheduler {
     const rmSoundWords = intersection(xor(keys(this.soundMap), keys(soundMap)), keys(this.soundMap))
     for (const rmSoundWord of rmSoundWords) {
       delete this.soundMap[rmSoundWord]
+      delete this.soundSources[rmSoundWord]
+      delete this.candidates[rmSoundWord]
+      delete this.roots[rmSoundWord]
     }
     
     // incrementally update the sound map (add new sounds)
     for (const [soundWord, sound] of Object.entries(soundMap)) {
       // if the buffer is null, don't add it (it is probably still searching/loading)
       if (!sound.buffer) continue
+      this.candidates[soundWord] = sound.candidate
 
-      // if the sound word exists already, do nothing
-      if (this.soundMap[soundWord]) continue
+      // if the sound word exists already with the same buffer, do nothing
+      // (words get new buffers when they are rerolled)
+      if (this.soundMap[soundWord] && this.soundSources[soundWord] === sound.buffer) continue
       
-      this.soundMap[soundWord] = await this.audioContext.decodeAudioData(sound.buffer.slice(0), () => {})
+      this.soundSources[soundWord] = sound.buffer
+      const decoded = await this.audioContext.decodeAudioData(sound.buffer.slice(0), () => {})
+      const { buffer, root } = await this.prepareSound(soundWord, sound.candidate, decoded)
+      this.soundMap[soundWord] = buffer
+      this.roots[soundWord] = root
     }
     
     for (const key of Object.keys(this.sequences)) {
-      this.sequences[key].setSoundMap(this.soundMap)
+      this.sequences[key].setSoundMap(this.soundMap, this.roots)
+    }
+  }
+
+  // trims the silence off the start of a decoded sound and evens out its loudness
+  // (see sounds/analysis.js), unless its word says not to, e.g. kick{norm=off}.
+  // returns the prepared buffer and the note it is at, { buffer, root }.
+  async prepareSound(word, candidate, buffer) {
+    // samples are cached by the word they were found with, e.g. kick for kick{norm=off}
+    const source = sourceWord(word)
+    const cacheable = this.sampleCache && candidate
+    let analysis = cacheable && await this.sampleCache.analysis(source, candidate.id).catch(() => null)
+
+    // analyses cached before pitches were detected are done again
+    if (!analysis || analysis.pitch === undefined) {
+      analysis = analyzeSample(buffer)
+      if (cacheable) {
+        this.sampleCache.putAnalysis(source, candidate.id, analysis)
+          .catch(err => console.error(`Sample Cache Failed For: ${word}: ${err.message}`))
+      }
+    }
+
+    return {
+      buffer: prepareSample(this.audioContext, buffer, analysis, prepareOptions(word)),
+      root: sampleRoot(word, candidate, analysis),
+    }
+  }
+
+  setSampleCache(sampleCache) {
+    this.sampleCache = sampleCache
+  }
+
+  // the same seed always makes the same choices for steps which only play sometimes
+  setSeed(seed) {
+    this.seed = seed
+    for (const sequence of values(this.sequences)) {
+      sequence.seed = seed
     }
   }
 
   setBpm(bpm) {
-    for (const key of Object.keys(this.sequences)) {
-      this.sequences[key].setBpm(bpm)
+    // all sequences share the transport, so they stay in phase with one another
+    this.bpm = bpm
+    this.transport.setBpm(bpm)
+    for (const sequence of values(this.sequences)) {
+      sequence.effects.retime()
     }
   }
   
-  setSequences(sequences) {
+  // settings from the mixer panel by sequence key, e.g. { key: { gain: 1, pan: 0, mute: false, solo: false } }
+  setMixerSettings(settings) {
+    this.mixer.setSettings(settings)
+  }
+
+  setQuantize(quantize) {
+    this.quantize = quantize
+  }
+
+  setSequences(sequences, texts = {}) {
+    this.texts = texts
+
     // reset filename to two random words in the sequences
-    const words = filter(reduce(sequences, (acc, v, k) => [...acc, ...v], []), v => v !== '_')
+    const words = flatMap(sequences, pattern => pattern.events.map(e => e.word))
     this.filename = `${words[Math.floor(Math.random() * words.length)]} ${words[Math.floor(Math.random() * words.length)]}`
-    
-    for (const [key, sequence] of Object.entries(sequences)) {
+
+    const from = this.scheduledBeat()
+    for (const [key, pattern] of Object.entries(sequences)) {
       if (key in this.sequences) {
-        this.sequences[key].setSequence(sequence)
+        this.updateSequence(this.sequences[key], pattern, from)
       } else {
+        // new sequences join in on the next boundary so they are in phase
+        // with everything else that is already playing
         this.sequences[key] = new Sequence(
-          sequence,
+          pattern,
           this.audioContext,
-          this.mediaStreamDestination,
+          this.mixer.channel(key),
           step => this.setCurrentStep(key, step),
-          this.bpm,
+          isPending => this.setPendingSequence(key, isPending),
+          this.transport,
+          this.transport.nextBoundary(this.joinOn, from),
+          this.chokes,
+          this.seed,
         )
       }
     }
+
+    // deleted sequences are removed on the same boundary that edits take effect on
+    for (const [key, sequence] of Object.entries(this.sequences)) {
+      if (!(key in sequences)) this.updateSequence(sequence, null, from)
+    }
+    this.removeSequences()
+  }
+
+  // swaps a new pattern (or null, to remove it) into an existing sequence either
+  // right away or on the next quantization boundary after the given beat
+  updateSequence(sequence, pattern, from) {
+    // nothing has changed, so we can forget about any edits which were pending
+    if (isEqual(pattern, sequence.pattern)) {
+      sequence.cancelPending()
+      return
+    }
+
+    // this edit is already waiting to be swapped in
+    if (sequence.pending && isEqual(pattern, sequence.pending.pattern)) return
+
+    if (this.quantize === Quantize.Immediate || !this.transport.isRunning) {
+      sequence.cancelPending()
+      if (pattern) {
+        sequence.setSequence(pattern, from)
+      } else {
+        sequence.isRemoved = true
+      }
+      return
+    }
+
+    sequence.queue(
+      pattern,
+      this.quantize === Quantize.Cycle
+        ? sequence.nextCycleBeat(from)
+        : this.transport.nextBoundary(this.quantize, from),
+    )
+  }
+
+  // cleans up sequences which have been removed
+  removeSequences() {
+    for (const [key, sequence] of Object.entries(this.sequences)) {
+      if (!sequence.isRemoved) continue
+
+      sequence.effects.dispose()
+      this.mixer.removeChannel(key)
+      delete this.sequences[key]
+      this.setCurrentStep(key)
+    }
+  }
+
+  // the beat up to which notes have already been scheduled. any changes to
+  // sequences can only take effect from this beat onwards.
+  scheduledBeat() {
+    if (!this.transport.isRunning) return this.transport.currentBeat()
+    return Math.max(this.transport.currentBeat(), this.transport.beatAt(this.scheduledUntil))
   }
 
   stop() {
     clearInterval(this.timerFn)
     this.timerFn = null
+    this.transport.stop()
     for (const sequence of values(this.sequences)) {
+      // there are no more boundaries to wait for, so swap in pending edits now
+      sequence.applyPending()
       sequence.resetReadHead()
     }
+    this.removeSequences()
   }
 
   pause() {
     clearInterval(this.timerFn)
-    this.timerFn = null    
+    this.timerFn = null
+    // everything up until scheduledUntil will still be played, so pick up from there
+    this.transport.pause(this.scheduledUntil)
   }
   
-  startRecording() {
+  // everything needed to render the current composition offline (see export/bounce.js)
+  snapshot() {
+    return {
+      patterns: mapValues(this.sequences, sequence => sequence.pattern),
+      soundMap: this.soundMap,
+      roots: this.roots,
+      candidates: this.candidates,
+      seed: this.seed,
+      bpm: this.bpm,
+      beatsPerBar: this.transport.beatsPerBar,
+      mixerSettings: this.mixer.settings,
+      texts: this.texts,
+      filename: this.filename,
+    }
+  }
+
+  // records what we hear, or with stems on, each line on its own (see StemModes).
+  // only the lines which exist when recording starts get their own stem.
+  startRecording(stemMode = StemModes.Off, bitDepth = 16) {
     if (this.isRecording) return
-    this.mediaRecorder.start().then(() => this.isRecording = true)
+    this.stemMode = stemMode
+    this.bitDepth = bitDepth
+
+    this.stemRecorders = {}
+    if (stemMode !== StemModes.Off) {
+      for (const [key, channel] of Object.entries(this.mixer.channels)) {
+        const destination = this.audioContext.createMediaStreamDestination()
+        const recorder = new Recorder(this.audioContext)
+        channel.stem.connect(destination)
+        recorder.init(destination.stream)
+        this.stemRecorders[key] = { recorder, channel, destination }
+      }
+    }
+
+    const recorders = values(this.stemRecorders).map(({ recorder }) => recorder)
+    if (stemMode !== StemModes.Stems) recorders.push(this.mediaRecorder)
+
+    this.recordingStartTime = this.audioContext.currentTime
+    Promise.all(recorders.map(recorder => recorder.start())).then(() => this.isRecording = true)
   }
 
   stopRecording() {
     if (!this.isRecording) return
-    this.mediaRecorder.stop().then(({blob, buffer}) => {
+
+    if (this.stemMode === StemModes.Off) {
+      this.mediaRecorder.stop().then(({blob, buffer}) => {
+        this.isRecording = false
+        Recorder.download(blob, this.filename)
+        downloadCredits(this.snapshot())
+      })
+      return
+    }
+
+    const stems = Promise.all(Object.entries(this.stemRecorders).map(([key, { recorder, channel, destination }]) =>
+      recorder.stop().then(({ buffer }) => {
+        channel.stem.disconnect(destination)
+        return [key, buffer]
+      })
+    ))
+    const mixdown = this.stemMode === StemModes.StemsAndMix
+          ? this.mediaRecorder.stop().then(({ buffer }) => buffer)
+          : null
+    this.stemRecorders = {}
+
+    // stems start on the first bar after recording started, so they line up in a DAW
+    const firstBar = this.transport.nextBoundary('bar', this.transport.beatAt(this.recordingStartTime))
+    const offset = Math.max(0, Math.round(
+      (this.transport.timeAt(firstBar) - this.recordingStartTime) * this.audioContext.sampleRate
+    ))
+
+    Promise.all([stems, mixdown]).then(([stems, mixdown]) => {
       this.isRecording = false
-      Recorder.download(blob, this.filename)
+      downloadRecordedStems({ stems: fromPairs(stems), mixdown }, {
+        sampleRate: this.audioContext.sampleRate,
+        offset,
+        texts: this.texts,
+        bpm: this.bpm,
+        beatsPerBar: this.transport.beatsPerBar,
+        bitDepth: this.bitDepth,
+        filename: this.filename,
+        credits: makeCredits(this.snapshot()),
+        seed: this.seed,
+      })
     })
   }
   
   start() {
-    this.timerFn = setInterval(() => {
-      // if Web Audio has been suspended (see https://goo.gl/7K7WLu), resume
-      if (this.audioContext.state === "suspended") this.audioContext.resume()
-      
-      for (const sequence of values(this.sequences)) {
-        sequence.schedule()
-      }
-    }, this.lookAheadInterval)
+    if (this.timerFn) return
+
+    this.transport.start()
+    this.timerFn = setInterval(() => this.tick(), this.lookAheadInterval)
+  }
+
+  tick() {
+    // if Web Audio has been suspended (see https://goo.gl/7K7WLu), resume
+    if (this.audioContext.state === "suspended") this.audioContext.resume()
+
+    this.scheduledUntil = this.audioContext.currentTime + this.scheduleAheadTime
+    for (const sequence of values(this.sequences)) {
+      sequence.schedule(this.scheduledUntil)
+    }
+    this.removeSequences()
   }
 }
 
 
-class Sequence {
-  constructor(sequence, audioContext, mediaStreamDestination, setCurrentStep, bpm = 128) {
+export class Sequence {
+  constructor(pattern, audioContext, channel, setCurrentStep, setPending, transport, startBeat = 0.0, chokes = new ChokeGroups(), seed = 0) {
     this.audioContext = audioContext
-    this.mediaStreamDestination = mediaStreamDestination
+    this.channel = channel           // channel strip in the mixer
     this.setCurrentStep = setCurrentStep
-    this.bpm = bpm                   // beats per minute (default 128)
-    this.nextNoteTime = 0.0          // when to schedule the next note
-    this.scheduleAheadTime = 0.1     // how far ahead to shcedule notes (seconds)
+    this.setPending = setPending
+    this.transport = transport       // shared transport for converting beats to seconds
+    this.cycleStartBeat = startBeat  // the beat on which the current cycle of the pattern started
+    this.cycle = 0                   // how many cycles of the line have been played before the current one
+    this.seed = seed                 // what the chances of steps are rolled from
     this.noteLength = 0.5           // duration of note (seconds)
+    this.chokes = chokes             // the choke groups which notes join (see voices.js)
     
-    this.soundMap = {}
-    this.sequence = sequence
-    this.currentStep = 0
-
-    // experimental effects
-    this.delay = audioContext.createDelay()
-    this.delay.connect(this.audioContext.destination)
-    this.delay.connect(this.mediaStreamDestination)
-    
+    this.soundMap = Object.create(null)
+    this.roots = Object.create(null) // the note each sound is at, by sound word (null if unknown)
+    this.pattern = pattern           // { length, rate, events } (see pattern/events.js)
+    // the events of the current cycle, after the line's transforms (see pattern/transforms.js)
+    this.events = cycleEvents(pattern, this.cycle, this.seed)
+    this.eventIndex = 0              // index of the next event to schedule
+    this.pending = null              // an edit waiting to be swapped in, { pattern, beat }
+    this.isRemoved = false
+
+    // the effects declared at the end of the line, e.g. kick snare | lpf 800
+    this.effects = new EffectChain(audioContext, transport, pattern.effects)
+    this.effects.output.connect(this.channel.input)
+    this.channel.setScripted(pattern, Math.max(audioContext.currentTime, transport.timeAt(startBeat)))
   }
 
-  setBpm(bpm) { this.bpm = bpm }
-  setSoundMap(soundMap) {
+  setSoundMap(soundMap, roots = Object.create(null)) {
     this.soundMap = soundMap
+    this.roots = roots
+  }
+
+  // works out what plays on the current cycle, e.g. for kick snare | every 2 rev
+  updateEvents() {
+    this.events = cycleEvents(this.pattern, this.cycle, this.seed)
+  }
+
+  // swaps in a new pattern from the given beat onwards
+  setSequence(pattern, beat) {
+    // skip over any cycles of the old pattern which will have finished by then
+    const oldCycleBeats = this.pattern.length * this.pattern.rate
+    if (oldCycleBeats === 0) {
+      this.cycleStartBeat = beat
+    } else if (beat >= this.cycleStartBeat + oldCycleBeats - Epsilon) {
+      const finishedCycles = Math.floor((beat - this.cycleStartBeat) / oldCycleBeats + Epsilon)
+      this.cycleStartBeat += finishedCycles * oldCycleBeats
+      this.cycle += finishedCycles
+    }
+
+    // figure out where we are in the current cycle (in beats) and continue from
+    // that same position in the new pattern
+    let offset = beat - this.cycleStartBeat
+    const cycleBeats = pattern.length * pattern.rate
+    if (cycleBeats > 0 && offset >= cycleBeats - Epsilon) {
+      const skippedCycles = Math.floor(offset / cycleBeats + Epsilon)
+      this.cycleStartBeat += skippedCycles * cycleBeats
+      this.cycle += skippedCycles
+      offset -= skippedCycles * cycleBeats
+    }
+
+    this.pattern = pattern
+    this.updateEvents()
+    this.effects.update(pattern.effects)
+    this.channel.setScripted(pattern, Math.max(this.audioContext.currentTime, this.transport.timeAt(beat)))
+    this.eventIndex = findIndex(this.events, e => e.time * pattern.rate >= offset - Epsilon)
+    if (this.eventIndex === -1) this.eventIndex = this.events.length
+  }
+
+  // queues a new pattern (or null, to remove this sequence) to be swapped in on the given beat
+  queue(pattern, beat) {
+    this.pending = { pattern, beat }
+    this.setPending(true)
   }
-  setSequence(sequence) {
-    this.sequence = sequence
-    this.currentStep = (this.currentStep % sequence.length + sequence.length) % sequence.length
+
+  cancelPending() {
+    if (!this.pending) return
+    this.pending = null
+    this.setPending(false)
+  }
+
+  applyPending() {
+    if (!this.pending) return
+
+    const { pattern, beat } = this.pending
+    if (pattern) {
+      this.setSequence(pattern, beat)
+    } else {
+      this.isRemoved = true
+    }
+    this.cancelPending()
+  }
+
+  // the beat on which the next cycle of this sequence starts, on or after the given beat
+  nextCycleBeat(from) {
+    const cycleBeats = this.pattern.length * this.pattern.rate
+    if (cycleBeats === 0) return from
+
+    const cycles = Math.ceil((from - this.cycleStartBeat) / cycleBeats - Epsilon)
+    return this.cycleStartBeat + Math.max(0, cycles) * cycleBeats
   }
   resetReadHead() {
+    this.cycleStartBeat = 0.0
+    this.cycle = 0
+    this.updateEvents()
+    this.eventIndex = 0
     this.setCurrentStep(0)
   }
+
+  // the beat on which the next event should be scheduled. once all events in
+  // the cycle have been scheduled, this is the beat on which the next cycle begins.
+  nextNoteBeat() {
+    const { length, rate } = this.pattern
+    const { events } = this
+
+    // an empty pattern never has anything to play
+    if (length === 0) return Infinity
+
+    const offset = this.eventIndex < events.length ? events[this.eventIndex].time : length
+    return this.cycleStartBeat + offset * rate
+  }
+
+  nextNoteTime() {
+    return this.transport.timeAt(this.nextNoteBeat())
+  }
   
   async scheduleNote(time) {
     const sample = this.audioContext.createBufferSource()
-    const audioBuffer = this.soundMap[this.sequence[this.currentStep]]
+    const event = this.events[this.eventIndex]
+    const audioBuffer = this.soundMap[event.word]
+    const { vol = 1, pitch = 0, pan = 0, len = this.noteLength, gate, choke, note } = event.params
 
     // set current step for outside world to see
-    this.setCurrentStep(this.currentStep)
+    this.setCurrentStep(event.step)
     
-    // ignore steps with no sounds (maybe still loading)
+    // ignore steps with no sounds (maybe still loading), or which don't play this cycle
     if (!audioBuffer) return
+    if (!playsOn(event, this.cycle, eventRandom(this.seed, this.cycle, this.eventIndex, event))) return
+
+    // each note gets its own little voice chain so the step params
+    // don't bleed into any other notes,
+    //   sample -> gain (vol, envelope) -> panner (pan) -> effects
+    const gain = this.audioContext.createGain()
+    const panner = this.audioContext.createStereoPanner()
+    panner.pan.value = Math.max(-1, Math.min(1, pan))
+
+    // notes are held for len seconds, or with a gate, for that much of their step
+    // (so gate=1 lasts until the next step), and then fade out over their release
+    const envelope = noteEnvelope(event.params)
+    const length = gate === undefined
+          ? len
+          : gate * event.duration * this.pattern.rate * 60.0 / this.transport.bpm
+    envelopePoints(envelope, length).forEach(([offset, level], idx) => idx === 0
+      ? gain.gain.setValueAtTime(level * vol, time + offset)
+      : gain.gain.linearRampToValueAtTime(level * vol, time + offset))
+
+    // notes are played relative to the root of the sound (C4 if it doesn't have one).
+    // whole semitones go into the playback rate and what's left over into the detune,
+    // so a sound which is a little out of tune is put back in tune.
+    const root = isNil(this.roots[event.word]) ? DefaultRoot : this.roots[event.word]
+    const semitones = note === undefined ? pitch : pitch + note - Math.round(root)
 
     sample.buffer = audioBuffer
-    sample.connect(this.delay)
-    // sample.connect(this.audioContext.destination)
-    // sample.connect(this.mediaStreamDestination)
+    sample.playbackRate.value = Math.pow(2, semitones / 12)
+    if (note !== undefined) sample.detune.value = (Math.round(root) - root) * 100
+    sample.connect(gain)
+    gain.connect(panner)
+    panner.connect(this.effects.input)
     sample.start(time)
-    sample.stop(time + this.noteLength)
+    sample.stop(time + length + envelope.rel)
+
+    if (choke !== undefined) {
+      this.chokes.add(choke, {
+        start: time,
+        end: time + length + envelope.rel,
+        cut: at => {
+          gain.gain.cancelScheduledValues(at)
+          gain.gain.setTargetAtTime(0, at, ChokeTime / 3)
+          sample.stop(at + ChokeTime)
+        },
+      })
+    }
   }
 
   nextNote() {
-    // console.log(this.sequence[this.currentStep])
-    const ppqn = 1 // TODO change this when we want to change tempos
-    this.nextNoteTime += (1/ppqn) * (60.0 / this.bpm) // add seconds / beat (scaled by ppqn)
-    this.currentStep = ( (this.currentStep + 1 ) % this.sequence.length + this.sequence.length) % this.sequence.length
+    if (this.eventIndex < this.events.length) {
+      this.eventIndex++
+      return
+    }
+
+    // we have reached the end of the cycle, start again from the top
+    this.cycleStartBeat += this.pattern.length * this.pattern.rate
+    this.cycle++
+    this.updateEvents()
+    this.eventIndex = 0
   }
   
-  async schedule() {
-    while (this.nextNoteTime < this.audioContext.currentTime + this.scheduleAheadTime) {
-      await this.scheduleNote(this.nextNoteTime)
+  // schedules all notes which fall before the given time (seconds)
+  async schedule(until) {
+    const untilBeat = this.transport.beatAt(until)
+
+    while (!this.isRemoved) {
+      // swap in the pending edit once we reach its boundary
+      if (this.pending && Math.min(this.nextNoteBeat(), untilBeat) >= this.pending.beat - Epsilon) {
+        this.applyPending()
+        continue
+      }
+
+      if (this.nextNoteTime() >= until) return
+
+      if (this.eventIndex < this.events.length) {
+        await this.scheduleNote(this.nextNoteTime())
+      }
       this.nextNote()
     }
   }
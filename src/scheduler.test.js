@@ -0,0 +1,272 @@
+import { Quantize, Scheduler } from './scheduler'
+import { parse } from './pattern/parser'
+import { compile } from './pattern/events'
+import { fakeAudioContext, soundBytes } from './test/audioContext'
+
+const Words = ['kick', 'snare', 'hat', 'clap']
+
+// a scheduler at 120 bpm (half a second a beat, four beats a bar) with a sound for
+// each of the words, which records when lines become pending and are removed
+const setup = async () => {
+  const audioContext = fakeAudioContext()
+  const pending = []
+  const removed = []
+  const scheduler = new Scheduler(
+    audioContext,
+    (key, step) => step === undefined && removed.push(key),
+    () => {},
+    (key, isPending) => pending.push([key, isPending]),
+    120,
+  )
+  scheduler.transport.startLatency = 0
+  scheduler.transport.start()
+  return { audioContext, scheduler, pending, removed }
+}
+
+const sounds = Words.reduce((map, word) => ({ ...map, [word]: { buffer: soundBytes(word) } }), {})
+
+// sets the text of each line by key, like the sequencer does when the editor changes
+const setLines = async ({ scheduler }, texts) => {
+  scheduler.setSequences(Object.entries(texts).reduce((acc, [key, text]) => ({ ...acc, [key]: compile(parse(text)) }), {}))
+  await scheduler.setSoundMap(sounds)
+}
+
+// moves time on to the given beat, scheduling notes like the timer would
+const playUntil = async ({ audioContext, scheduler }, beat) => {
+  audioContext.currentTime = scheduler.transport.timeAt(beat)
+  scheduler.tick()
+  await new Promise(resolve => setTimeout(resolve))
+}
+
+// moves time on to the given beat a tick at a time, like the timer does
+const tickUntil = async (state, beat) => {
+  const { audioContext, scheduler } = state
+  while (audioContext.currentTime <= scheduler.transport.timeAt(beat)) {
+    await playUntil(state, scheduler.transport.beatAt(audioContext.currentTime))
+    audioContext.currentTime += scheduler.lookAheadInterval / 1000
+  }
+}
+
+// the notes which were started after they should have played, as word@beat
+const late = ({ audioContext, scheduler }) => audioContext.played
+  .filter(({ time, at }) => at > time + 1e-9)
+  .map(({ name, time }) => `${name}@${scheduler.transport.beatAt(time)}`)
+
+// what has been played, as word@beat
+const played = ({ audioContext, scheduler }) =>
+  audioContext.played.map(({ name, time }) => `${name}@${scheduler.transport.beatAt(time)}`)
+
+// when each note of a word was played, in seconds
+const timesOf = ({ audioContext }, word) => audioContext.played.filter(({ name }) => name === word).map(({ time }) => time)
+
+// expects numbers to be close enough to the given ones, where they're worked out from tempos
+const expectCloseTo = (received, expected) => {
+  expect(received).toHaveLength(expected.length)
+  expected.forEach((value, idx) => expect(received[idx]).toBeCloseTo(value))
+}
+
+describe('Scheduler', () => {
+  test('plays lines from the start', async () => {
+    const state = await setup()
+    await setLines(state, { a: 'kick snare', b: '@2 hat' })
+    await playUntil(state, 3.5)
+
+    expect(played(state).sort()).toEqual(['hat@0', 'hat@2', 'kick@0', 'kick@2', 'snare@1', 'snare@3'])
+  })
+
+  test('swaps edits in on the next bar', async () => {
+    const state = await setup()
+    await setLines(state, { a: 'kick snare' })
+    await playUntil(state, 2.2)
+
+    await setLines(state, { a: 'hat' })
+    expect(state.pending).toEqual([['a', true]])
+    await playUntil(state, 5.8)
+
+    expect(played(state)).toEqual(['kick@0', 'snare@1', 'kick@2', 'snare@3', 'hat@4', 'hat@5'])
+    expect(state.pending).toEqual([['a', true], ['a', false]])
+  })
+
+  test('swaps edits in once the cycle of the line has finished', async () => {
+    const state = await setup()
+    const { scheduler } = state
+    scheduler.setQuantize(Quantize.Cycle)
+    await setLines(state, { a: 'kick snare hat' })
+    await playUntil(state, 1.2)
+
+    await setLines(state, { a: 'clap' })
+    await playUntil(state, 4.8)
+
+    expect(played(state)).toEqual(['kick@0', 'snare@1', 'hat@2', 'clap@3', 'clap@4'])
+  })
+
+  test('forgets pending edits which are undone', async () => {
+    const state = await setup()
+    await setLines(state, { a: 'kick' })
+    await playUntil(state, 1.2)
+
+    await setLines(state, { a: 'snare' })
+    await setLines(state, { a: 'kick' })
+    await playUntil(state, 4.8)
+
+    expect(played(state)).toEqual(['kick@0', 'kick@1', 'kick@2', 'kick@3', 'kick@4'])
+    expect(state.pending).toEqual([['a', true], ['a', false]])
+  })
+
+  test('swaps edits in straight away without quantizing', async () => {
+    const state = await setup()
+    const { scheduler } = state
+    scheduler.setQuantize(Quantize.Immediate)
+    await setLines(state, { a: 'kick snare hat clap' })
+    await playUntil(state, 1.2)
+
+    await setLines(state, { a: 'clap clap clap clap' })
+    await playUntil(state, 4.8)
+
+    expect(played(state)).toEqual(['kick@0', 'snare@1', 'clap@2', 'clap@3', 'clap@4'])
+  })
+
+  test('joins new lines and removes deleted ones on bars', async () => {
+    const state = await setup()
+    const { scheduler } = state
+    await setLines(state, { a: 'kick' })
+    await playUntil(state, 1.2)
+
+    await setLines(state, { b: 'hat' })
+    await playUntil(state, 5.8)
+
+    expect(played(state).sort()).toEqual(['hat@4', 'hat@5', 'kick@0', 'kick@1', 'kick@2', 'kick@3'])
+
+    // lines are scheduled asynchronously, so removed ones are cleaned up on the next tick
+    await playUntil(state, 5.9)
+    expect(state.removed).toEqual(['a'])
+    expect(Object.keys(scheduler.sequences)).toEqual(['b'])
+  })
+
+  test('plays each line at its own rate against the same beats', async () => {
+    const state = await setup()
+    await setLines(state, { a: '@1/4 hat', b: '@2 kick snare' })
+    await playUntil(state, 1.8)
+
+    const notes = word => played(state).filter(note => note.startsWith(word))
+    expect(notes('hat')).toEqual(['hat@0', 'hat@0.25', 'hat@0.5', 'hat@0.75', 'hat@1', 'hat@1.25', 'hat@1.5', 'hat@1.75'])
+    expect(notes('kick')).toEqual(['kick@0'])
+
+    await playUntil(state, 5.8)
+    expect(notes('kick')).toEqual(['kick@0', 'kick@4'])
+    expect(notes('snare')).toEqual(['snare@2'])
+  })
+
+  test('keeps lines in phase when the tempo changes', async () => {
+    const state = await setup()
+    await setLines(state, { a: '@1/2 hat', b: 'kick' })
+    await playUntil(state, 1.7)
+
+    // from beat 1.7 (0.85 seconds in) a beat lasts a second rather than half of one
+    state.scheduler.setBpm(60)
+    await playUntil(state, 3.8)
+
+    expectCloseTo(timesOf(state, 'hat'), [0, 0.25, 0.5, 0.75, 1.15, 1.65, 2.15, 2.65])
+    expectCloseTo(timesOf(state, 'kick'), [0, 0.5, 1.15, 2.15])
+  })
+
+  test('resumes from where it was paused without a burst or drift', async () => {
+    const state = await setup()
+    const { audioContext, scheduler } = state
+    await setLines(state, { a: 'kick snare' })
+    await playUntil(state, 1.8)
+    scheduler.pause()
+    expect(played(state)).toEqual(['kick@0', 'snare@1'])
+
+    // however long it's paused for, it picks up on the next beat
+    audioContext.currentTime = 10
+    scheduler.start()
+    audioContext.played = []
+    await tickUntil(state, 4.8)
+    scheduler.stop()
+
+    expect(played(state)).toEqual(['kick@2', 'snare@3', 'kick@4'])
+    expect(late(state)).toEqual([])
+    expect(timesOf(state, 'kick')[0]).toEqual(10)
+  })
+
+  test('plays notes which were scheduled before pausing only the once', async () => {
+    const state = await setup()
+    const { audioContext, scheduler } = state
+    await setLines(state, { a: 'kick snare' })
+    await playUntil(state, 1.9) // the kick on beat 2 is already scheduled by now
+    scheduler.pause()
+
+    audioContext.currentTime = 10
+    scheduler.start()
+    await tickUntil(state, 4.8)
+    scheduler.stop()
+
+    expect(timesOf(state, 'kick')).toHaveLength(3)
+    expectCloseTo(timesOf(state, 'snare'), [0.5, 10.45])
+  })
+
+  test('joins lines added while paused on the bar after it resumes', async () => {
+    const state = await setup()
+    const { audioContext, scheduler } = state
+    await setLines(state, { a: 'kick snare' })
+    await playUntil(state, 1.8)
+    scheduler.pause()
+    await setLines(state, { a: 'kick snare', b: 'hat' })
+
+    audioContext.currentTime = 10
+    scheduler.start()
+    audioContext.played = []
+    await tickUntil(state, 5.8)
+    scheduler.stop()
+
+    expect(played(state).sort()).toEqual(['hat@4', 'hat@5', 'kick@2', 'kick@4', 'snare@3', 'snare@5'])
+  })
+
+  test('plays the transforms of every cycle', async () => {
+    const state = await setup()
+    await setLines(state, { a: 'kick snare | every 2 rev' })
+    await playUntil(state, 7.8)
+
+    expect(played(state)).toEqual(['snare@0', 'kick@1', 'kick@2', 'snare@3', 'snare@4', 'kick@5', 'kick@6', 'snare@7'])
+  })
+
+  test('keeps counting cycles across edits', async () => {
+    const state = await setup()
+    await setLines(state, { a: 'kick snare' })
+    await playUntil(state, 2.2)
+
+    // the edit starts on the third cycle of the line, which every 2 applies to
+    await setLines(state, { a: 'kick snare | every 2 rev' })
+    await playUntil(state, 7.8)
+
+    expect(played(state)).toEqual(['kick@0', 'snare@1', 'kick@2', 'snare@3', 'snare@4', 'kick@5', 'kick@6', 'snare@7'])
+  })
+
+  test('squeezes cycles in with fast, alternating as it goes', async () => {
+    const state = await setup()
+    await setLines(state, { a: '<kick clap> hat | fast 2' })
+    await playUntil(state, 3.8)
+
+    expect(played(state)).toEqual([
+      'kick@0', 'hat@0.5', 'clap@1', 'hat@1.5', 'kick@2', 'hat@2.5', 'clap@3', 'hat@3.5',
+    ])
+  })
+
+  test('plays alternations of different lengths on time', async () => {
+    const state = await setup()
+    await setLines(state, { a: '<[kick hat] snare>' })
+    await tickUntil(state, 3.5)
+
+    expect(played(state)).toEqual(['kick@0', 'hat@0.5', 'snare@1', 'kick@2', 'hat@2.5', 'snare@3'])
+    expect(late(state)).toEqual([])
+  })
+
+  test('has no sounds for words which are the names of properties of objects', async () => {
+    const state = await setup()
+    await setLines(state, { a: 'kick constructor toString hat' })
+    await playUntil(state, 3.8)
+
+    expect(played(state)).toEqual(['kick@0', 'hat@3'])
+  })
+})
@@ -4,23 +4,47 @@ import WaveStream from 'react-wave-stream'
 import context from './context/audio'
 import { useSequenceContext } from './context/sequence'
 import { Scheduler } from './scheduler'
+import { compile } from './pattern/events'
+import { bounceWav, BounceLengths } from './export/bounce'
+import { bounceStems, StemModes } from './export/stems'
+import { exportMidi } from './export/midi'
+import { nonCommercialWords } from './export/credits'
 
+// sounds with non-commercial licenses can't end up in anything which is sold,
+// so make sure that's understood before exporting them
+const confirmLicenses = snapshot => {
+  const words = nonCommercialWords(snapshot.patterns, snapshot.candidates)
+  return words.length === 0 || window.confirm(
+    `these sounds are licensed for non-commercial use only: ${words.join(', ')}\n\nexport anyway?`
+  )
+}
 
 export const Sequencer = props => {
   const {
     isRecording,
+    setIsRecording,
     isPlaying,
-    isPaused
+    isPaused,
+    quantize,
+    isBouncing,
+    setIsBouncing,
+    isExportingMidi,
+    setIsExportingMidi,
+    bounceSettings,
+    seed,
   } = props
 
   const [analyzerData, setAnalyzerData] = useState([])
   
   const {audioContext} = useContext(context)
-  const { sequenceState, setCurrentStep } = useSequenceContext()
+  const { sequenceState, setCurrentStep, setPendingSequence, mixerSettings, sampleCache } = useSequenceContext()
   const [ scheduler, setScheduler ] = useState(null)
 
   useEffect(() => {
-    const scheduler = new Scheduler(audioContext, setCurrentStep, setAnalyzerData, 128)
+    const scheduler = new Scheduler(audioContext, setCurrentStep, setAnalyzerData, setPendingSequence, 128)
+    scheduler.setQuantize(quantize)
+    scheduler.setSampleCache(sampleCache)
+    scheduler.setSeed(seed)
     scheduler.start()
     setScheduler(scheduler)
 
@@ -29,16 +53,64 @@ export const Sequencer = props => {
 
   useEffect(() => {
     if (scheduler) {
-      scheduler.setSequences(reduce(sequenceState.sequences, (acc, v) => ({...acc, [v.key]: v.steps}), {}))
+      scheduler.setSequences(
+        reduce(sequenceState.sequences, (acc, v) => ({...acc, [v.key]: compile(v.ast)}), {}),
+        reduce(sequenceState.sequences, (acc, v) => ({...acc, [v.key]: v.text}), {}),
+      )
       scheduler.setSoundMap(sequenceState.sounds) 
     }
   }, [sequenceState])
 
+  useEffect(() => {
+    if (scheduler) scheduler.setQuantize(quantize)
+  }, [quantize])
+
+  useEffect(() => {
+    if (scheduler) scheduler.setMixerSettings(mixerSettings)
+  }, [mixerSettings])
+
+  useEffect(() => {
+    if (scheduler) scheduler.setSeed(seed)
+  }, [seed])
+
+  useEffect(() => {
+    if (!scheduler || !isBouncing) return
+
+    const snapshot = scheduler.snapshot()
+    if (!confirmLicenses(snapshot)) {
+      setIsBouncing(false)
+      return
+    }
+
+    const { length, bitDepth, stems } = bounceSettings
+    const bounce = stems === StemModes.Off
+          ? bounceWav(snapshot, { ...BounceLengths[length], bitDepth })
+          : bounceStems(snapshot, { ...BounceLengths[length], bitDepth, stemMode: stems })
+    bounce
+      .catch(err => console.error(`Bounce Failed: ${err}`))
+      .finally(() => setIsBouncing(false))
+  }, [isBouncing])
+
+  useEffect(() => {
+    if (!scheduler || !isExportingMidi) return
+
+    try {
+      exportMidi(scheduler.snapshot(), BounceLengths[bounceSettings.length])
+    } catch (err) {
+      console.error(`MIDI Export Failed: ${err}`)
+    }
+    setIsExportingMidi(false)
+  }, [isExportingMidi])
+
   useEffect(() => {
     if (!scheduler) return 
     if (isRecording) {
+      if (!confirmLicenses(scheduler.snapshot())) {
+        setIsRecording(false)
+        return
+      }
       if (!isPlaying) scheduler.start()
-      scheduler.startRecording()
+      scheduler.startRecording(bounceSettings.stems, bounceSettings.bitDepth)
     } else {
       scheduler.stopRecording()
     }
@@ -1,5 +1,5 @@
-// This optional code is used to register a service worker.
-// register() is not called by default.
+// This code is used to register a service worker, which precaches the app
+// shell in production builds. register() is called from index.js.
 
 // This lets the app load faster on subsequent visits in production, and gives
 // it offline capabilities. However, it also means that developers (and users)
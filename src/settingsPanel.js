@@ -0,0 +1,94 @@
+import React, { useState } from 'react'
+import { makeStyles } from "@material-ui/core/styles"
+import { InputBase } from '@material-ui/core'
+
+import { useSequenceContext } from './context/sequence'
+
+
+const useStyles = makeStyles(theme => ({
+  panel: {
+    width: '50%',
+    marginTop: '40px',
+    fontSize: '14px',
+  },
+  header: {
+    textAlign: 'left',
+    color: '#4e717a',
+    marginBottom: '8px',
+  },
+  field: {
+    display: 'flex',
+    alignItems: 'center',
+    marginBottom: '8px',
+  },
+  label: {
+    width: '30%',
+    textAlign: 'left',
+    color: '#85e4ff',
+  },
+  input: {
+    width: '70%',
+    fontSize: '14px',
+    color: '#92e3f7',
+    borderBottom: '1px solid #4e717a',
+  },
+}))
+
+// a text field which only hands over its value once it's done being edited
+const SettingField = ({ label, value, type = 'text', placeholder, onChange }) => {
+  const [draft, setDraft] = useState(value)
+  const classes = useStyles()
+  const commit = () => draft !== value && onChange(draft.trim())
+
+  return (
+    <div className={classes.field}>
+      <div className={classes.label}>{label}</div>
+      <InputBase
+        className={classes.input}
+        inputProps={{ 'aria-label': label }}
+        type={type}
+        placeholder={placeholder}
+        value={draft}
+        onChange={e => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={e => e.key === 'Enter' && commit()}
+      />
+    </div>
+  )
+}
+
+// where freesound sounds come from. either a freesound api token, which stays in
+// this browser, or the url of a proxy which holds the token (see server/proxy.mjs).
+// and the seed which the chances of steps like hat?0.5 are rolled from, so a take
+// can be played (or bounced) again exactly as it was.
+export const SettingsPanel = props => {
+  const { seed, setSeed } = props
+  const { freesoundSettings, setFreesoundSettings } = useSequenceContext()
+  const classes = useStyles()
+
+  return (
+    <div className={classes.panel}>
+      <div className={classes.header}>freesound</div>
+      <SettingField
+        label="api token"
+        type="password"
+        placeholder="from freesound.org/apiv2/apply"
+        value={freesoundSettings.token}
+        onChange={token => setFreesoundSettings({ token })}
+      />
+      <SettingField
+        label="proxy url"
+        placeholder="e.g. http://localhost:8787"
+        value={freesoundSettings.proxyUrl}
+        onChange={proxyUrl => setFreesoundSettings({ proxyUrl })}
+      />
+      <div className={classes.header}>playback</div>
+      <SettingField
+        label="seed"
+        type="number"
+        value={String(seed)}
+        onChange={seed => setSeed(parseInt(seed, 10) || 0)}
+      />
+    </div>
+  )
+}
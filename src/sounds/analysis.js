@@ -0,0 +1,159 @@
+import { frequencyToNote, noteNumber } from '../pattern/notes'
+import { splitWord } from './providers'
+
+export const TargetLoudness = -18 // what samples are normalized to (dBFS)
+
+const BlockTime = 0.05 // loudness is measured over blocks this long (seconds)
+const GateLevel = -50  // blocks quieter than this don't count towards loudness, like the absolute gate of LUFS (dBFS)
+const OnsetLevel = -40 // a sample starts once it gets this close to its peak (dB)
+const PreRoll = 0.002  // how much is kept before the onset so attacks aren't blunted (seconds)
+const MaxGain = 24     // how far quiet samples can be turned up (dB)
+const Ceiling = -1     // peaks are never pushed past this (dBFS)
+
+const MinPitch = 40         // the lowest pitch which is looked for (Hz)
+const MaxPitch = 2000       // the highest pitch which is looked for (Hz)
+const PitchDelay = 0.02     // how long after the onset pitch is looked for, to get past the attack (seconds)
+const PitchWindow = 2048    // how many samples pitch is detected over
+const PitchThreshold = 0.15 // how periodic a sample has to be to have a pitch (lower is stricter)
+
+const toDb = amplitude => 20 * Math.log10(amplitude)
+const fromDb = db => Math.pow(10, db / 20)
+
+// detects the pitch of some audio data (Hz) starting from the given sample, using
+// yin (de Cheveigné & Kawahara), or returns null if it isn't periodic enough to
+// have one, like most drums.
+export const detectPitch = (data, sampleRate, start = 0) => {
+  const minLag = Math.max(2, Math.floor(sampleRate / MaxPitch))
+  const maxLag = Math.ceil(sampleRate / MinPitch)
+  const window = Math.min(PitchWindow, data.length - start - maxLag - 1)
+  if (window < PitchWindow / 2) return null
+
+  // the cumulative mean normalized difference of the data with itself at each lag,
+  // which dips towards 0 at lags which are a period of it
+  const cmnd = new Float32Array(maxLag + 2)
+  cmnd[0] = 1
+  let running = 0
+  for (let lag = 1; lag <= maxLag + 1; lag++) {
+    let diff = 0
+    for (let i = start; i < start + window; i++) {
+      const d = data[i] - data[i + lag]
+      diff += d * d
+    }
+    running += diff
+    cmnd[lag] = running > 0 ? diff * lag / running : 1
+  }
+
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    if (cmnd[lag] >= PitchThreshold) continue
+
+    // follow the dip down to its bottom, and find where between samples it is
+    while (lag < maxLag && cmnd[lag + 1] < cmnd[lag]) lag++
+    const [a, b, c] = [cmnd[lag - 1], cmnd[lag], cmnd[lag + 1]]
+    const curve = a - 2 * b + c
+    return sampleRate / (lag + (curve > 0 ? (a - c) / (2 * curve) : 0))
+  }
+  return null
+}
+
+// analyzes a decoded sample (an AudioBuffer), returning
+//   { onset, loudness, peak, pitch }
+// where onset is how long it is silent for before it starts (seconds), loudness is
+// its gated rms level and peak is its loudest sample (both dBFS), and pitch is what
+// it sounds at (Hz). silent samples have a null loudness and peak, and unpitched
+// ones a null pitch. analyses are plain data so they can be cached.
+export const analyzeSample = buffer => {
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c))
+  const { length, sampleRate } = buffer
+
+  let peak = 0
+  for (const data of channels) {
+    for (let i = 0; i < data.length; i++) peak = Math.max(peak, Math.abs(data[i]))
+  }
+  if (peak === 0) return { onset: 0, loudness: null, peak: null, pitch: null }
+
+  // the onset is the first sample in any channel which gets near the peak
+  const threshold = peak * fromDb(OnsetLevel)
+  let start = length
+  for (const data of channels) {
+    for (let i = 0; i < Math.min(start, data.length); i++) {
+      if (Math.abs(data[i]) >= threshold) {
+        start = i
+        break
+      }
+    }
+  }
+  const onset = Math.max(0, start - Math.round(PreRoll * sampleRate)) / sampleRate
+
+  // loudness is the rms of every block which isn't (near) silence, so long quiet
+  // tails don't make short hits look quiet
+  const blockSize = Math.max(1, Math.round(BlockTime * sampleRate))
+  let sum = 0
+  let count = 0
+  for (let from = 0; from < length; from += blockSize) {
+    const to = Math.min(length, from + blockSize)
+    let blockSum = 0
+    for (const data of channels) {
+      for (let i = from; i < to; i++) blockSum += data[i] * data[i]
+    }
+
+    const blockCount = (to - from) * channels.length
+    if (toDb(Math.sqrt(blockSum / blockCount)) > GateLevel) {
+      sum += blockSum
+      count += blockCount
+    }
+  }
+
+  // pitch is detected on the channels mixed down to one
+  const mono = new Float32Array(length)
+  for (const data of channels) {
+    for (let i = 0; i < data.length; i++) mono[i] += data[i] / channels.length
+  }
+
+  return {
+    onset,
+    loudness: count > 0 ? toDb(Math.sqrt(sum / count)) : toDb(peak),
+    peak: toDb(peak),
+    pitch: detectPitch(mono, sampleRate, start + Math.round(PitchDelay * sampleRate)),
+  }
+}
+
+// the note a sample is at (see pattern/notes.js), which notes are played relative
+// to. a root in its word's constraints, e.g. piano{root=A3}, wins over one which
+// its provider knows, e.g. sine:A3, which wins over the pitch it was detected at.
+// returns null if the sample has no root.
+export const sampleRoot = (word, candidate, analysis) => {
+  const declared = splitWord(word).constraints.find(({ key }) => key === 'root')
+  if (declared) return noteNumber(declared.value)
+  if (candidate && candidate.root !== undefined) return candidate.root
+  return analysis && analysis.pitch ? frequencyToNote(analysis.pitch) : null
+}
+
+// the gain which brings a sample to the target loudness (dBFS), without turning
+// quiet samples up too far or pushing its peaks past the ceiling
+export const normalizeGain = ({ loudness, peak }, target = TargetLoudness) => loudness === null
+  ? 1
+  : fromDb(Math.min(target - loudness, MaxGain, Ceiling - peak))
+
+// how a word's sample is prepared, which can be turned off with its
+// constraints, e.g. kick{norm=off} or kick{trim=off}
+export const prepareOptions = word => splitWord(word).constraints.reduce(
+  (options, { key, value }) => key === 'norm' || key === 'trim' ? { ...options, [key]: value === 'on' } : options,
+  { norm: true, trim: true },
+)
+
+// trims the silence off of the start of a decoded sample and normalizes its
+// loudness, given its analysis. returns a new AudioBuffer, or the same one if
+// there's nothing to be done.
+export const prepareSample = (audioContext, buffer, analysis, { norm = true, trim = true } = {}) => {
+  const start = trim ? Math.max(0, Math.min(buffer.length - 1, Math.round(analysis.onset * buffer.sampleRate))) : 0
+  const gain = norm ? normalizeGain(analysis) : 1
+  if (start === 0 && gain === 1) return buffer
+
+  const prepared = audioContext.createBuffer(buffer.numberOfChannels, buffer.length - start, buffer.sampleRate)
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const from = buffer.getChannelData(c)
+    const to = prepared.getChannelData(c)
+    for (let i = 0; i < to.length; i++) to[i] = from[i + start] * gain
+  }
+  return prepared
+}
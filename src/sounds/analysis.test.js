@@ -0,0 +1,119 @@
+import {
+  analyzeSample, detectPitch, normalizeGain, prepareOptions, prepareSample, sampleRoot, TargetLoudness,
+} from './analysis'
+import { fakeBuffer, silentBuffer } from '../test/buffers'
+
+const SampleRate = 1000
+
+const makeBuffer = channels => fakeBuffer(channels, SampleRate)
+
+const fakeContext = {
+  createBuffer: (numberOfChannels, length) => silentBuffer(length, SampleRate, numberOfChannels),
+}
+
+// silence followed by a square wave at some level
+const hit = (silence, length, level) => {
+  const data = new Float32Array(silence + length)
+  for (let i = 0; i < length; i++) data[silence + i] = i % 2 ? level : -level
+  return data
+}
+
+const db = amplitude => 20 * Math.log10(amplitude)
+
+describe('analyzeSample', () => {
+  test('finds where the sound starts, keeping a little before it', () => {
+    const { onset } = analyzeSample(makeBuffer([hit(100, 200, 0.5)]))
+    expect(onset).toBeCloseTo(0.098)
+  })
+
+  test('measures loudness without the silence', () => {
+    const { loudness, peak } = analyzeSample(makeBuffer([hit(500, 500, 0.5)]))
+    expect(loudness).toBeCloseTo(db(0.5))
+    expect(peak).toBeCloseTo(db(0.5))
+  })
+
+  test('looks at every channel', () => {
+    const { onset } = analyzeSample(makeBuffer([hit(300, 100, 0.5), hit(50, 350, 0.5)]))
+    expect(onset).toBeCloseTo(0.048)
+  })
+
+  test('copes with silence', () => {
+    expect(analyzeSample(makeBuffer([new Float32Array(100)])))
+      .toEqual({ onset: 0, loudness: null, peak: null, pitch: null })
+  })
+})
+
+// a second of a wave with some harmonics, at an audio sample rate
+const tone = (hz, sampleRate = 44100) => Float32Array.from(
+  { length: sampleRate },
+  (_, i) => Math.sin(2 * Math.PI * hz * i / sampleRate) + 0.5 * Math.sin(4 * Math.PI * hz * i / sampleRate),
+)
+
+describe('detectPitch', () => {
+  test('finds the pitch of tones', () => {
+    expect(detectPitch(tone(440), 44100)).toBeCloseTo(440, 0)
+    expect(detectPitch(tone(261.63), 44100, 5000)).toBeCloseTo(261.63, 0)
+    expect(detectPitch(tone(55), 44100)).toBeCloseTo(55, 0)
+    expect(detectPitch(tone(1500, 48000), 48000)).toBeCloseTo(1500, -1)
+  })
+
+  test('finds no pitch in noise, silence or not enough audio', () => {
+    let seed = 1
+    const noise = Float32Array.from({ length: 44100 }, () => (seed = seed * 16807 % 2147483647) / 2147483647 - 0.5)
+    expect(detectPitch(noise, 44100)).toEqual(null)
+    expect(detectPitch(new Float32Array(44100), 44100)).toEqual(null)
+    expect(detectPitch(tone(440).subarray(0, 1500), 44100)).toEqual(null)
+  })
+})
+
+describe('sampleRoot', () => {
+  test('prefers a declared root, then the provider\'s, then the detected pitch', () => {
+    expect(sampleRoot('piano{root=A3}', { root: 60 }, { pitch: 440 })).toEqual(57)
+    expect(sampleRoot('saw:A3', { root: 57 }, { pitch: 440 })).toEqual(57)
+    expect(sampleRoot('piano', { id: 1 }, { pitch: 440 })).toBeCloseTo(69)
+    expect(sampleRoot('kick', { id: 1 }, { pitch: null })).toEqual(null)
+  })
+})
+
+describe('normalizeGain', () => {
+  test('brings samples to the target loudness', () => {
+    expect(db(normalizeGain({ loudness: -30, peak: -20 }))).toBeCloseTo(TargetLoudness + 30)
+    expect(db(normalizeGain({ loudness: -6, peak: -3 }))).toBeCloseTo(TargetLoudness + 6)
+  })
+
+  test('never pushes peaks past the ceiling', () => {
+    expect(db(normalizeGain({ loudness: -24, peak: -3 }))).toBeCloseTo(2)
+  })
+
+  test('leaves silence alone', () => {
+    expect(normalizeGain({ loudness: null, peak: null })).toEqual(1)
+  })
+})
+
+describe('prepareOptions', () => {
+  test('can be turned off per word', () => {
+    expect(prepareOptions('kick')).toEqual({ norm: true, trim: true })
+    expect(prepareOptions('kick{norm=off}')).toEqual({ norm: false, trim: true })
+    expect(prepareOptions('fs:kick{dur<1, trim=off}')).toEqual({ norm: true, trim: false })
+  })
+})
+
+describe('prepareSample', () => {
+  const buffer = makeBuffer([hit(100, 100, 0.01)])
+  const analysis = analyzeSample(buffer)
+
+  test('trims and normalizes', () => {
+    const prepared = prepareSample(fakeContext, buffer, analysis)
+    const data = prepared.getChannelData(0)
+
+    expect(prepared.length).toEqual(102)
+    expect(data[0]).toEqual(0)
+    expect(db(Math.abs(data[2]))).toBeCloseTo(TargetLoudness)
+  })
+
+  test('does as it is told', () => {
+    expect(prepareSample(fakeContext, buffer, analysis, { norm: false, trim: false })).toBe(buffer)
+    expect(prepareSample(fakeContext, buffer, analysis, { norm: false }).getChannelData(0)[2]).toBeCloseTo(-0.01)
+    expect(prepareSample(fakeContext, buffer, analysis, { trim: false }).length).toEqual(200)
+  })
+})
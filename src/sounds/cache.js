@@ -0,0 +1,156 @@
+// a persistent cache of downloaded samples, so that a composition can be
+// reloaded (and played) without searching for and downloading every sound again.
+//
+// samples are keyed by their word and the id of the sound that was picked for it,
+// and once the cache grows past maxBytes the least recently used are evicted.
+
+const DefaultMaxBytes = 200 * 1024 * 1024
+
+export const cacheKey = (word, id) => `${word}#${id}`
+
+// key value stores backed by object stores in an IndexedDB database, where every
+// value has its own key on it (as value.key). returns a store for each name.
+export const makeIdbStores = (dbName, storeNames, indexedDB = window.indexedDB) => {
+  let db = null
+  const open = () => {
+    if (!db) {
+      db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1)
+        request.onupgradeneeded = () => storeNames.forEach(name => request.result.createObjectStore(name, { keyPath: 'key' }))
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+        // another tab has the database open at an older version
+        request.onblocked = () => reject(new Error(`${dbName} is blocked by another tab`))
+      })
+      // try opening it again next time rather than failing forever
+      db.catch(() => { db = null })
+    }
+    return db
+  }
+
+  // transactions which are aborted, e.g. when storage is full, never complete or error
+  const run = async (storeName, mode, fn) => {
+    const transaction = (await open()).transaction(storeName, mode)
+    const request = fn(transaction.objectStore(storeName))
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error || new Error(`${storeName} transaction aborted`))
+    })
+  }
+
+  return storeNames.reduce((acc, name) => ({
+    ...acc,
+    [name]: {
+      get: key => run(name, 'readonly', store => store.get(key)),
+      put: value => run(name, 'readwrite', store => store.put(value)),
+      delete: key => run(name, 'readwrite', store => store.delete(key)),
+      all: () => run(name, 'readonly', store => store.getAll()),
+    },
+  }), {})
+}
+
+// the same as an IndexedDB store but in memory, for when there is no IndexedDB
+// (e.g. in private windows and tests). values are copied in and out like they are
+// with IndexedDB so nothing can be changed behind the cache's back.
+export const makeMemoryStore = () => {
+  const values = new Map()
+  const copy = value => value && { ...value, ...(value.buffer ? { buffer: value.buffer.slice(0) } : {}) }
+
+  return {
+    get: async key => copy(values.get(key)),
+    put: async value => { values.set(value.key, copy(value)) },
+    delete: async key => { values.delete(key) },
+    all: async () => Array.from(values.values()).map(copy),
+  }
+}
+
+export class SampleCache {
+  // index holds a small entry for every sample, { key, word, id, name, candidate, analysis, size, lastUsed },
+  // and samples holds the audio, { key, buffer }, so that listing and evicting
+  // never have to read the audio itself
+  constructor({ index, samples }, { maxBytes = DefaultMaxBytes, now = Date.now } = {}) {
+    this.index = index
+    this.samples = samples
+    this.maxBytes = maxBytes
+    this.now = now
+  }
+
+  // the most recently used sample for a word, { entry, buffer }, or null
+  async lookup(word) {
+    const entries = (await this.index.all()).filter(entry => entry.word === word)
+    if (entries.length === 0) return null
+
+    const latest = entries.reduce((a, b) => b.lastUsed > a.lastUsed ? b : a)
+    return this.get(latest.word, latest.id)
+  }
+
+  // the sample picked for a word, { entry, buffer }, or null
+  async get(word, id) {
+    const key = cacheKey(word, id)
+    const [entry, sample] = await Promise.all([this.index.get(key), this.samples.get(key)])
+    if (!entry || !sample) return null
+
+    const touched = { ...entry, lastUsed: this.now() }
+    await this.index.put(touched)
+    return { entry: touched, buffer: sample.buffer }
+  }
+
+  // stores the sample for a word and candidate (see sounds/providers.js). the
+  // whole candidate is kept too, so cached sounds can still be credited.
+  async put(word, candidate, buffer) {
+    const { id, name } = candidate
+    const key = cacheKey(word, id)
+    await this.samples.put({ key, buffer })
+    await this.index.put({ key, word, id, name, candidate, size: buffer.byteLength, lastUsed: this.now() })
+    await this.evict()
+  }
+
+  // the analysis of a sample (see sounds/analysis.js), or null if it hasn't been analyzed
+  async analysis(word, id) {
+    const entry = await this.index.get(cacheKey(word, id))
+    return (entry && entry.analysis) || null
+  }
+
+  // keeps the analysis of a sample alongside it, as long as the sample is cached
+  async putAnalysis(word, id, analysis) {
+    const entry = await this.index.get(cacheKey(word, id))
+    if (entry) await this.index.put({ ...entry, analysis })
+  }
+
+  async remove(key) {
+    await Promise.all([this.index.delete(key), this.samples.delete(key)])
+  }
+
+  async clear() {
+    const entries = await this.index.all()
+    await Promise.all(entries.map(({ key }) => this.remove(key)))
+  }
+
+  // everything in the cache, most recently used first
+  async entries() {
+    return (await this.index.all()).sort((a, b) => b.lastUsed - a.lastUsed)
+  }
+
+  // removes the least recently used samples until the cache fits within maxBytes
+  async evict() {
+    const entries = await this.entries()
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0)
+
+    while (total > this.maxBytes && entries.length > 0) {
+      const oldest = entries.pop()
+      await this.remove(oldest.key)
+      total -= oldest.size
+    }
+  }
+}
+
+// a cache backed by IndexedDB where it's available, otherwise one which
+// only lasts as long as the page
+export const makeSampleCache = options => {
+  const stores = typeof window !== 'undefined' && window.indexedDB
+        ? makeIdbStores('tr45h-samples', ['index', 'samples'])
+        : { index: makeMemoryStore(), samples: makeMemoryStore() }
+
+  return new SampleCache(stores, options)
+}
@@ -0,0 +1,120 @@
+import { SampleCache, cacheKey, makeIdbStores, makeMemoryStore } from './cache'
+
+const makeCache = (maxBytes = 100) => {
+  let time = 0
+  return new SampleCache(
+    { index: makeMemoryStore(), samples: makeMemoryStore() },
+    { maxBytes, now: () => ++time },
+  )
+}
+
+const bytes = size => new Uint8Array(size).fill(size).buffer
+
+describe('SampleCache', () => {
+  test('stores samples by word and sound id', async () => {
+    const cache = makeCache()
+    await cache.put('kick', { id: 12, name: 'big kick' }, bytes(10))
+
+    const { entry, buffer } = await cache.get('kick', 12)
+    expect(entry).toMatchObject({ key: cacheKey('kick', 12), word: 'kick', id: 12, name: 'big kick', size: 10 })
+    expect(entry.candidate).toEqual({ id: 12, name: 'big kick' })
+    expect(new Uint8Array(buffer)[0]).toEqual(10)
+    expect(await cache.get('kick', 13)).toBeNull()
+  })
+
+  test('looks up the most recently used sample for a word', async () => {
+    const cache = makeCache()
+    await cache.put('kick', { id: 1, name: 'a' }, bytes(10))
+    await cache.put('kick', { id: 2, name: 'b' }, bytes(20))
+    expect((await cache.lookup('kick')).entry.id).toEqual(2)
+
+    await cache.get('kick', 1)
+    expect((await cache.lookup('kick')).entry.id).toEqual(1)
+    expect(await cache.lookup('snare')).toBeNull()
+  })
+
+  test('evicts the least recently used samples when it is full', async () => {
+    const cache = makeCache(50)
+    await cache.put('kick', { id: 1, name: 'kick' }, bytes(20))
+    await cache.put('snare', { id: 2, name: 'snare' }, bytes(20))
+    await cache.get('kick', 1)
+    await cache.put('hat', { id: 3, name: 'hat' }, bytes(20))
+
+    expect((await cache.entries()).map(e => e.word)).toEqual(['hat', 'kick'])
+    expect(await cache.lookup('snare')).toBeNull()
+  })
+
+  test('removes and clears samples', async () => {
+    const cache = makeCache()
+    await cache.put('kick', { id: 1, name: 'kick' }, bytes(10))
+    await cache.put('hat', { id: 2, name: 'hat' }, bytes(10))
+
+    await cache.remove(cacheKey('kick', 1))
+    expect((await cache.entries()).map(e => e.word)).toEqual(['hat'])
+
+    await cache.clear()
+    expect(await cache.entries()).toEqual([])
+  })
+
+  test('keeps its own copy of samples', async () => {
+    const cache = makeCache()
+    const buffer = bytes(10)
+    await cache.put('kick', { id: 1, name: 'kick' }, buffer)
+    new Uint8Array(buffer).fill(0)
+
+    expect(new Uint8Array((await cache.get('kick', 1)).buffer)[0]).toEqual(10)
+  })
+
+  test('keeps analyses alongside cached samples', async () => {
+    const cache = makeCache()
+    await cache.put('kick', { id: 1, name: 'kick' }, bytes(10))
+    await cache.putAnalysis('kick', 1, { onset: 0.01, loudness: -20, peak: -6 })
+    await cache.putAnalysis('hat', 2, { onset: 0, loudness: -20, peak: -6 })
+
+    expect(await cache.analysis('kick', 1)).toEqual({ onset: 0.01, loudness: -20, peak: -6 })
+    expect(await cache.analysis('hat', 2)).toBeNull()
+    expect((await cache.entries()).map(e => e.word)).toEqual(['kick'])
+  })
+})
+
+// an IndexedDB whose databases open (or are blocked) and whose transactions
+// complete (or are aborted) as soon as they can
+const makeIndexedDB = ({ blocked = false, abort = null } = {}) => ({
+  open: () => {
+    const request = {}
+    const transaction = () => {
+      const transaction = { objectStore: () => ({ put: () => ({}), get: () => ({ result: 'value' }) }) }
+      setTimeout(() => {
+        if (!abort) return transaction.oncomplete()
+        transaction.error = abort
+        transaction.onabort()
+      })
+      return transaction
+    }
+
+    setTimeout(() => {
+      if (blocked) return request.onblocked()
+      request.result = { transaction }
+      request.onsuccess()
+    })
+    return request
+  },
+})
+
+describe('makeIdbStores', () => {
+  test('runs requests in transactions', async () => {
+    const { index } = makeIdbStores('test', ['index'], makeIndexedDB())
+    expect(await index.get('kick')).toEqual('value')
+  })
+
+  test('fails when transactions are aborted', async () => {
+    const quota = new Error('QuotaExceededError')
+    const { samples } = makeIdbStores('test', ['samples'], makeIndexedDB({ abort: quota }))
+    await expect(samples.put({ key: 'kick' })).rejects.toBe(quota)
+  })
+
+  test('fails when the database is blocked', async () => {
+    const { samples } = makeIdbStores('test', ['samples'], makeIndexedDB({ blocked: true }))
+    await expect(samples.get('kick')).rejects.toThrow('blocked')
+  })
+})
@@ -0,0 +1,193 @@
+import { omit } from 'lodash'
+
+import { SoundStatus } from './status'
+import { DefaultChoices, chooseCandidate, isLocked, rerollCount } from './selection'
+import { FetchQueue, isAbort, withRetries } from './queue'
+import { UnknownProviderError, sourceWord } from './providers'
+import { MissingCredentialsError } from './freesound'
+import { ParseError } from '../pattern/parser'
+
+// words with unknown providers, broken constraints or no credentials will never work, however often they're tried
+const isRetryable = err => !(
+  err instanceof UnknownProviderError || err instanceof ParseError || err instanceof MissingCredentialsError
+)
+
+// fetches the sounds for words from their providers (see sounds/providers.js),
+// by way of the sample cache (see sounds/cache.js), and reports on its progress
+// by dispatching SOUND_STATUSES_UPDATED and SOUNDS_DOWNLOADED actions. fetches
+// run a few at a time with timeouts and retries (see sounds/queue.js).
+//
+// which candidate a word uses is decided by its choices (see sounds/selection.js),
+// which change when words are rerolled or locked and are handed to onChoicesChanged
+// so that they can be kept between sessions.
+export class SoundFetcher {
+  constructor(options) {
+    const {
+      registry,
+      cache,
+      dispatch,
+      choices = DefaultChoices,
+      onChoicesChanged = () => {},
+      concurrency = 4,
+      retryOptions = {}, // { retries, timeout, backoff } (see withRetries)
+    } = options
+
+    this.registry = registry
+    this.cache = cache
+    this.dispatch = dispatch
+    this.choices = { ...DefaultChoices, ...choices }
+    this.onChoicesChanged = onChoicesChanged
+    this.candidates = Object.create(null) // search results by source word, so rerolling doesn't search again
+    this.chosen = Object.create(null)     // the candidate each source word is using (see sourceWord)
+    this.queue = new FetchQueue({ concurrency })
+    this.retryOptions = retryOptions
+  }
+
+  isLocked(word) {
+    return isLocked(sourceWord(word), this.choices)
+  }
+
+  setChoices(choices) {
+    this.choices = choices
+    this.onChoicesChanged(choices)
+  }
+
+  setStatus(word, status, reason = null) {
+    this.dispatch({
+      type: 'SOUND_STATUSES_UPDATED',
+      statuses: { [word]: status },
+      ...(reason ? { reasons: { [word]: reason } } : {}),
+    })
+  }
+
+  downloaded(word, { buffer, candidate }) {
+    this.dispatch({ type: 'SOUNDS_DOWNLOADED', sounds: { [word]: buffer }, candidates: { [word]: candidate } })
+  }
+
+  failed(word, err) {
+    // cancelled words have been deleted, so there's nothing to report
+    if (isAbort(err)) return
+
+    console.error(`Fetching Failed For: ${word}: ${err.message}`)
+    this.setStatus(word, SoundStatus.Error, err.message)
+  }
+
+  // calls fn(signal) with timeouts and retries (see sounds/queue.js)
+  retry(fn, signal) {
+    return withRetries(fn, { ...this.retryOptions, signal, shouldRetry: isRetryable })
+  }
+
+  // fetches a sound for each word, dispatching each one as soon as it arrives
+  fetch(words) {
+    return Promise.all(words.map(word =>
+      this.queue.add(word, signal => this.fetchWord(word, signal))
+        .then(sound => sound && this.downloaded(word, sound))
+        .catch(err => this.failed(word, err))
+    ))
+  }
+
+  // stops fetching sounds for words, e.g. because they've been deleted
+  cancel(words) {
+    words.forEach(word => this.queue.cancel(word))
+  }
+
+  // returns { buffer, candidate } for a word, or null if it's unavailable.
+  // sounds which have been downloaded before come straight out of the cache.
+  // words which are the same sound prepared differently, e.g. kick and
+  // kick{norm=off}, share their search, cache and choices (see sourceWord).
+  async fetchWord(word, signal) {
+    const source = sourceWord(word)
+    const cached = await (this.isLocked(word)
+                          ? this.cache.get(source, this.choices.locks[source])
+                          : this.cache.lookup(source)).catch(err => {
+      console.error(`Sample Cache Failed For: ${word}: ${err.message}`)
+      return null
+    })
+    if (cached) {
+      console.log(`Using Cached Sound For: ${word}`)
+      // samples cached before candidates were kept only have an id and name
+      const { id, name, candidate } = cached.entry
+      this.chosen[source] = candidate || { id, name }
+      return { buffer: cached.buffer, candidate: this.chosen[source] }
+    }
+
+    const candidates = await this.search(source, signal)
+    if (candidates.length === 0) {
+      // darn. no results found. mark this as unavailable.
+      this.setStatus(word, SoundStatus.Unavailable)
+      return null
+    }
+
+    // we found results, lets start downloading the sound.
+    this.setStatus(word, SoundStatus.Downloading)
+    console.log(`Found Sounds Related to: ${word}`)
+
+    return this.load(source, chooseCandidate(source, candidates, this.choices), signal)
+  }
+
+  async search(word, signal) {
+    console.log(`Fetching Sounds Related to: ${word}`)
+    this.candidates[word] = await this.retry(signal => this.registry.search(word, { signal }), signal)
+    return this.candidates[word]
+  }
+
+  // loads a candidate for a word from the cache, or from its provider (caching it)
+  async load(word, candidate, signal) {
+    const cached = await this.cache.get(word, candidate.id).catch(() => null)
+    let buffer = cached && cached.buffer
+
+    if (!buffer) {
+      console.log(`Fetching Audio For: ${candidate.name}`)
+      buffer = await this.retry(signal => this.registry.load(word, candidate, { signal }), signal)
+      console.log(`Downloaded Audio For: ${candidate.name}`)
+
+      // cache a copy, since the buffer is handed over when it's decoded. the sound
+      // doesn't wait on it, so a cache which is full or stuck can't hold it up.
+      this.cache.put(word, candidate, buffer.slice(0))
+        .catch(err => console.error(`Sample Cache Failed For: ${word}: ${err.message}`))
+    }
+
+    this.chosen[word] = candidate
+    return { buffer, candidate }
+  }
+
+  // swaps a word's sound for the next of its search results. locked words can't be rerolled.
+  async reroll(word) {
+    if (this.isLocked(word)) return false
+
+    const source = sourceWord(word)
+    try {
+      const sound = await this.queue.add(word, async signal => {
+        const candidates = this.candidates[source] || await this.search(source, signal)
+        if (candidates.length === 0) return null
+
+        const { rerolls } = this.choices
+        this.setChoices({ ...this.choices, rerolls: { ...rerolls, [source]: rerollCount(source, this.choices) + 1 } })
+
+        this.setStatus(word, SoundStatus.Downloading)
+        return this.load(source, chooseCandidate(source, candidates, this.choices), signal)
+      })
+      if (!sound) return false
+
+      this.downloaded(word, sound)
+      return true
+    } catch (err) {
+      this.failed(word, err)
+      return false
+    }
+  }
+
+  // pins a word to the exact sound it's using now, or unpins it. returns whether it's locked.
+  toggleLock(word) {
+    const { locks } = this.choices
+    const source = sourceWord(word)
+    if (this.isLocked(word)) {
+      this.setChoices({ ...this.choices, locks: omit(locks, [source]) })
+      return false
+    }
+
+    if (!this.chosen[source]) return false
+    this.setChoices({ ...this.choices, locks: { ...locks, [source]: this.chosen[source].id } })
+    return true
+  }
+}
@@ -0,0 +1,168 @@
+import { SoundFetcher } from './fetcher'
+import { SoundRegistry } from './providers'
+import { SampleCache, makeMemoryStore } from './cache'
+import { SoundStatus } from './status'
+import { chooseCandidate } from './selection'
+
+const sample = id => new Uint8Array([id]).buffer
+
+// a provider with a few kicks which counts how often it is used
+const makeProvider = () => {
+  const provider = {
+    searches: 0,
+    loads: 0,
+    search: async query => {
+      provider.searches++
+      return query === 'kick' ? [1, 2, 3, 4].map(id => ({ id, name: `kick ${id}` })) : []
+    },
+    load: async ({ id }) => {
+      provider.loads++
+      return sample(id)
+    },
+  }
+  return provider
+}
+
+const setup = (choices = undefined, provider = makeProvider()) => {
+  const actions = []
+  const saved = []
+  const fetcher = new SoundFetcher({
+    registry: new SoundRegistry('test').register('test', provider),
+    cache: new SampleCache({ index: makeMemoryStore(), samples: makeMemoryStore() }),
+    dispatch: action => actions.push(action),
+    choices,
+    onChoicesChanged: choices => saved.push(choices),
+    retryOptions: { retries: 2, backoff: 1, timeout: 50 },
+  })
+  return { provider, actions, saved, fetcher }
+}
+
+const downloaded = actions => actions.filter(a => a.type === 'SOUNDS_DOWNLOADED')
+const firstByte = buffer => new Uint8Array(buffer)[0]
+
+describe('SoundFetcher', () => {
+  test('fetches the seeded choice for each word', async () => {
+    const { actions, fetcher } = setup()
+    await fetcher.fetch(['kick', 'nothing'])
+
+    const expected = chooseCandidate('kick', [1, 2, 3, 4].map(id => ({ id, name: `kick ${id}` })))
+    const [{ sounds, candidates }] = downloaded(actions)
+    expect(firstByte(sounds.kick)).toEqual(expected.id)
+    expect(candidates.kick).toEqual(expected)
+    expect(actions).toContainEqual({ type: 'SOUND_STATUSES_UPDATED', statuses: { nothing: SoundStatus.Unavailable } })
+  })
+
+  test('uses the cache the second time around', async () => {
+    const { provider, fetcher } = setup()
+    await fetcher.fetch(['kick'])
+    await fetcher.fetch(['kick'])
+
+    expect(provider.searches).toEqual(1)
+    expect(provider.loads).toEqual(1)
+  })
+
+  test('rerolls through the search results without searching again', async () => {
+    const { provider, actions, saved, fetcher } = setup()
+    await fetcher.fetch(['kick'])
+    const first = fetcher.chosen.kick.id
+
+    expect(await fetcher.reroll('kick')).toBe(true)
+    expect(provider.searches).toEqual(1)
+    expect(fetcher.chosen.kick.id).toEqual(first % 4 + 1)
+    expect(firstByte(downloaded(actions)[1].sounds.kick)).toEqual(first % 4 + 1)
+    expect(saved[0].rerolls).toEqual({ kick: 1 })
+  })
+
+  test('locks words to the sound they are using', async () => {
+    const { saved, fetcher } = setup()
+    await fetcher.fetch(['kick'])
+    const id = fetcher.chosen.kick.id
+
+    expect(fetcher.toggleLock('kick')).toBe(true)
+    expect(saved[0].locks).toEqual({ kick: id })
+    expect(await fetcher.reroll('kick')).toBe(false)
+
+    expect(fetcher.toggleLock('kick')).toBe(false)
+    expect(saved[1].locks).toEqual({})
+  })
+
+  test('fetches words named like object builtins', async () => {
+    const provider = { ...makeProvider(), search: async () => [{ id: 7, name: 'constructor 7' }] }
+    const { actions, fetcher } = setup(undefined, provider)
+    await fetcher.fetch(['constructor'])
+
+    expect(fetcher.isLocked('constructor')).toBe(false)
+    expect(firstByte(downloaded(actions)[0].sounds.constructor)).toEqual(7)
+    expect(await fetcher.reroll('constructor')).toBe(true)
+  })
+
+  test('does not wait for the cache to store a sound', async () => {
+    const { actions, fetcher } = setup()
+    fetcher.cache.put = () => new Promise(() => {}) // never finishes, like a full IndexedDB
+    await fetcher.fetch(['kick'])
+
+    expect(downloaded(actions)).toHaveLength(1)
+  })
+
+  test('fetches the same sound for words which are only prepared differently', async () => {
+    const { provider, actions, fetcher } = setup()
+    await fetcher.fetch(['kick'])
+    await fetcher.fetch(['kick{norm=off}', 'kick{root=A3}'])
+
+    const [kick, ...others] = downloaded(actions).map(({ candidates }) => Object.values(candidates)[0].id)
+    expect(others).toEqual([kick, kick])
+    expect(provider.searches).toEqual(1)
+    expect(provider.loads).toEqual(1)
+
+    expect(fetcher.toggleLock('kick{norm=off}')).toBe(true)
+    expect(fetcher.isLocked('kick')).toBe(true)
+  })
+
+  test('fetches locked sounds by id', async () => {
+    const { actions, fetcher } = setup({ locks: { kick: 3 } })
+    await fetcher.fetch(['kick'])
+
+    expect(firstByte(downloaded(actions)[0].sounds.kick)).toEqual(3)
+  })
+
+  test('retries searches which fail', async () => {
+    const provider = makeProvider()
+    const search = provider.search
+    let failures = 2
+    provider.search = async query => failures-- > 0 ? Promise.reject(new Error('503')) : search(query)
+
+    const { actions, fetcher } = setup(undefined, provider)
+    await fetcher.fetch(['kick'])
+
+    expect(downloaded(actions)).toHaveLength(1)
+  })
+
+  test('marks words as errored once their retries run out', async () => {
+    const provider = makeProvider()
+    provider.load = () => new Promise(() => {}) // never finishes
+
+    const { actions, fetcher } = setup(undefined, provider)
+    await fetcher.fetch(['kick'])
+
+    expect(downloaded(actions)).toHaveLength(0)
+    expect(actions).toContainEqual({
+      type: 'SOUND_STATUSES_UPDATED',
+      statuses: { kick: SoundStatus.Error },
+      reasons: { kick: 'timed out after 0.05s' },
+    })
+  })
+
+  test('does not report on cancelled words', async () => {
+    const provider = makeProvider()
+    provider.search = (query, constraints, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')))
+    })
+
+    const { actions, fetcher } = setup(undefined, provider)
+    const fetching = fetcher.fetch(['kick'])
+    fetcher.cancel(['kick'])
+    await fetching
+
+    expect(actions).toEqual([])
+  })
+})
@@ -0,0 +1,109 @@
+const ApiUrl = 'https://freesound.org'
+const PageSize = 150
+
+// where freesound credentials come from until they're set in the settings panel.
+// they're read from the environment when the app is built (see .env.example).
+export const DefaultFreesoundSettings = {
+  token: process.env.REACT_APP_FREESOUND_TOKEN || '',
+  proxyUrl: process.env.REACT_APP_FREESOUND_PROXY || '',
+}
+
+export class MissingCredentialsError extends Error {
+  constructor() {
+    super('no freesound token or proxy has been set')
+    this.name = 'MissingCredentialsError'
+  }
+}
+
+// freesound's names for the licenses and sort orders in SoundConstraints (see pattern/parser.js)
+const Licenses = {
+  cc0: 'Creative Commons 0',
+  by: 'Attribution',
+  'by-nc': 'Attribution Noncommercial',
+}
+const SortOrders = {
+  score: 'score',
+  rating: 'rating_desc',
+  downloads: 'downloads_desc',
+  duration: 'duration_asc',
+  created: 'created_desc',
+}
+
+// fails on anything but a successful response, e.g. when freesound is rate limiting us
+const checkStatus = res => {
+  if (!res.ok) throw new Error(`freesound responded with ${res.status}`)
+  return res
+}
+
+// turns the constraints of a word into the filter and sort of a freesound text search,
+// e.g. kick{dur<0.5, license=cc0, sort=rating} is
+//   { filter: 'duration:[* TO 0.5] license:"Creative Commons 0"', sort: 'rating_desc' }
+export const searchParams = constraints => {
+  const filters = []
+  let [min, max] = ['*', '*']
+  let sort = null
+
+  for (const { key, op, value } of constraints) {
+    switch (key) {
+    case 'dur':
+      if (op.startsWith('<') || op === '=') max = value
+      if (op.startsWith('>') || op === '=') min = value
+      break
+    case 'license':
+      filters.push(`license:"${Licenses[value]}"`)
+      break
+    case 'tag':
+      filters.push(`tag:${value}`)
+      break
+    case 'sort':
+      sort = SortOrders[value]
+      break
+    default:
+      break
+    }
+  }
+
+  if (min !== '*' || max !== '*') filters.unshift(`duration:[${min} TO ${max}]`)
+  return { filter: filters.length ? filters.join(' ') : null, sort }
+}
+
+// searches freesound.org by text and loads the high quality mp3 preview of a result.
+// requests either carry a token or go through a proxy which holds the token for us
+// (see server/proxy.mjs), in which case previews are streamed through the proxy too.
+//
+// NOTES: fetching previews do NOT take authorization headers....in fact, if you include them
+// it will cause a preflight cors OPTIONS request to be made....unfortunately, the
+// freesound API doesn't return 'Acess-Control-Allow-Origin: *' in the preflight
+// OPTION reponse for previews (media server i guess?)....
+export const makeFreesoundProvider = ({ token = '', proxyUrl = '', fetch = (...args) => window.fetch(...args) } = {}) => {
+  const baseUrl = proxyUrl ? proxyUrl.replace(/\/+$/, '') : ApiUrl
+  // the proxy adds the token itself
+  const headers = proxyUrl ? {} : {Authorization: `Token ${token}`}
+
+  return {
+    search: async (query, constraints = [], { signal } = {}) => {
+      if (!token && !proxyUrl) throw new MissingCredentialsError()
+
+      const { filter, sort } = searchParams(constraints)
+      const { results } = await fetch(
+        `${baseUrl}/apiv2/search/text/?query=${encodeURIComponent(query)}&fields=id,name,previews,username,license,url&page_size=${PageSize}`
+          + (filter ? `&filter=${encodeURIComponent(filter)}` : '')
+          + (sort ? `&sort=${sort}` : ''),
+        {headers, signal}
+      ).then(checkStatus).then(res => res.json())
+
+      // the proxy hands back preview urls relative to itself. the author, license
+      // and page of each sound are kept so they can be credited (see sounds/licenses.js).
+      return results.map(({ id, name, previews, username, license, url }) => ({
+        id,
+        name,
+        url: new URL(previews['preview-hq-mp3'], `${baseUrl}/`).href,
+        author: username,
+        license,
+        page: url,
+      }))
+    },
+
+    load: async ({ url }, { signal } = {}) => fetch(url, { signal }).then(checkStatus).then(res => res.arrayBuffer()),
+  }
+}
@@ -0,0 +1,93 @@
+import { MissingCredentialsError, makeFreesoundProvider, searchParams } from './freesound'
+import { parseConstraints } from '../pattern/parser'
+
+describe('searchParams', () => {
+  test('turns constraints into a filter and sort', () => {
+    expect(searchParams(parseConstraints('dur<0.5, license=cc0, sort=rating'))).toEqual({
+      filter: 'duration:[* TO 0.5] license:"Creative Commons 0"',
+      sort: 'rating_desc',
+    })
+  })
+
+  test('combines duration bounds into one range', () => {
+    expect(searchParams(parseConstraints('dur>0.1,dur<=2,tag=808')).filter).toEqual('duration:[0.1 TO 2] tag:808')
+    expect(searchParams(parseConstraints('dur=1')).filter).toEqual('duration:[1 TO 1]')
+  })
+
+  test('leaves out what is not constrained', () => {
+    expect(searchParams([])).toEqual({ filter: null, sort: null })
+  })
+})
+
+describe('makeFreesoundProvider', () => {
+  test('searches with the filter and sort', async () => {
+    const urls = []
+    const provider = makeFreesoundProvider({
+      token: 'token',
+      fetch: async url => {
+        urls.push(url)
+        return { ok: true, json: async () => ({ results: [{ id: 1, name: 'kick', previews: { 'preview-hq-mp3': 'http://x/1.mp3' } }] }) }
+      },
+    })
+
+    const candidates = await provider.search('kick', parseConstraints('dur<0.5,sort=rating'))
+    expect(candidates).toEqual([{ id: 1, name: 'kick', url: 'http://x/1.mp3' }])
+    expect(urls[0]).toContain('query=kick&')
+    expect(urls[0]).toContain(`&filter=${encodeURIComponent('duration:[* TO 0.5]')}`)
+    expect(urls[0]).toContain('&sort=rating_desc')
+  })
+
+  test('keeps what is needed to credit each sound', async () => {
+    const urls = []
+    const provider = makeFreesoundProvider({
+      token: 'token',
+      fetch: async url => {
+        urls.push(url)
+        return { ok: true, json: async () => ({ results: [{
+          id: 1,
+          name: 'kick',
+          previews: { 'preview-hq-mp3': 'http://x/1.mp3' },
+          username: 'someone',
+          license: 'http://creativecommons.org/licenses/by/3.0/',
+          url: 'https://freesound.org/people/someone/sounds/1/',
+        }] }) }
+      },
+    })
+
+    expect(await provider.search('kick', [])).toEqual([{
+      id: 1,
+      name: 'kick',
+      url: 'http://x/1.mp3',
+      author: 'someone',
+      license: 'http://creativecommons.org/licenses/by/3.0/',
+      page: 'https://freesound.org/people/someone/sounds/1/',
+    }])
+    expect(urls[0]).toContain('&fields=id,name,previews,username,license,url&')
+  })
+
+  test('goes through a proxy without a token', async () => {
+    const requests = []
+    const provider = makeFreesoundProvider({
+      proxyUrl: 'http://localhost:8787/',
+      fetch: async (url, options) => {
+        requests.push({ url, options })
+        return { ok: true, json: async () => ({ results: [{ id: 1, name: 'kick', previews: { 'preview-hq-mp3': '/previews/1.mp3' } }] }) }
+      },
+    })
+
+    const candidates = await provider.search('kick', [])
+    expect(candidates).toEqual([{ id: 1, name: 'kick', url: 'http://localhost:8787/previews/1.mp3' }])
+    expect(requests[0].url).toMatch(/^http:\/\/localhost:8787\/apiv2\/search\/text\/\?query=kick&/)
+    expect(requests[0].options.headers).toEqual({})
+  })
+
+  test('needs a token or a proxy', async () => {
+    const provider = makeFreesoundProvider({ fetch: async () => { throw new Error('should not fetch') } })
+    await expect(provider.search('kick', [])).rejects.toBeInstanceOf(MissingCredentialsError)
+  })
+
+  test('fails on error responses', async () => {
+    const provider = makeFreesoundProvider({ token: 'token', fetch: async () => ({ ok: false, status: 429 }) })
+    await expect(provider.search('kick', [])).rejects.toThrow('freesound responded with 429')
+  })
+})
@@ -0,0 +1,35 @@
+// a provider for any server which speaks a tiny json api,
+//   GET <baseUrl>/search?q=<query>  ->  { results: [ { id, name, url }, ... ] }
+//   GET <url>                       ->  the encoded audio
+// relative urls are relative to the base url. fetch can be swapped out, e.g.
+// for a mock in tests.
+export const makeHttpProvider = ({ baseUrl, fetch = (...args) => window.fetch(...args) }) => {
+  const get = async (url, signal) => {
+    const res = await fetch(url, { signal })
+    if (!res.ok) throw new Error(`GET ${url} failed with ${res.status}`)
+    return res
+  }
+  const absolute = url => /^[a-z]+:/i.test(url) ? url : `${baseUrl}/${url.replace(/^\//, '')}`
+
+  return {
+    search: async (query, constraints, { signal } = {}) => {
+      const { results } = await get(`${baseUrl}/search?q=${encodeURIComponent(query)}`, signal).then(res => res.json())
+      return results.map(result => ({ ...result, url: absolute(result.url) }))
+    },
+
+    load: async ({ url }, { signal } = {}) => get(url, signal).then(res => res.arrayBuffer()),
+  }
+}
+
+// a fetch which answers from an in memory table of url -> json (for objects) or
+// ArrayBuffers, and 404s otherwise. it's enough to stand in for a server in tests.
+export const makeMockFetch = routes => async url => {
+  const body = routes[url]
+  const response = { ok: body !== undefined, status: body !== undefined ? 200 : 404 }
+
+  return {
+    ...response,
+    json: async () => body,
+    arrayBuffer: async () => body,
+  }
+}
@@ -0,0 +1,15 @@
+import { SoundRegistry } from './providers'
+import { DefaultFreesoundSettings, makeFreesoundProvider } from './freesound'
+import { makeBundledProvider } from './local'
+import { OscillatorTypes, makeOscillatorProvider, makeSynthProvider } from './synth'
+
+// the providers that words can be prefixed with, e.g. fs:rain, local:kick,
+// synth:snare or sine:A3. plain words are searched for on freesound, with
+// freesoundSettings of { token, proxyUrl } (see sounds/freesound.js).
+export const makeDefaultRegistry = (freesoundSettings = DefaultFreesoundSettings) => Object.keys(OscillatorTypes).reduce(
+  (registry, type) => registry.register(type, makeOscillatorProvider(type)),
+  new SoundRegistry('fs')
+    .register('fs', makeFreesoundProvider(freesoundSettings))
+    .register('local', makeBundledProvider())
+    .register('synth', makeSynthProvider()),
+)
@@ -0,0 +1,48 @@
+// what the licenses which sounds come with let us do. freesound sounds are all
+// creative commons (or sampling+), synthesized sounds are ours to do what we like with.
+export const Licenses = {
+  cc0: { name: 'CC0', attribution: false, commercial: true },
+  by: { name: 'CC BY', attribution: true, commercial: true },
+  'by-nc': { name: 'CC BY-NC', attribution: true, commercial: false },
+  'sampling+': { name: 'Sampling+', attribution: true, commercial: true },
+  generated: { name: 'generated', attribution: false, commercial: true },
+}
+
+// anything we don't recognize gets credited, to be on the safe side
+const UnknownLicense = { attribution: true, commercial: true }
+
+// describes the license of a candidate (see sounds/providers.js), which is either the
+// url of a license, e.g. https://creativecommons.org/licenses/by-nc/4.0/, or one of
+// the names in Licenses. returns { id, name, url, attribution, commercial }, or null
+// if there's no license to speak of.
+export const parseLicense = license => {
+  if (!license) return null
+  if (license in Licenses) return { id: license, url: null, ...Licenses[license] }
+
+  const zero = license.match(/creativecommons\.org\/publicdomain\/zero\/([\d.]+)/)
+  if (zero) return { id: 'cc0', url: license, ...Licenses.cc0, name: `${Licenses.cc0.name} ${zero[1]}` }
+
+  const cc = license.match(/creativecommons\.org\/licenses\/([a-z+-]+)\/([\d.]+)/)
+  if (cc && cc[1] in Licenses) {
+    return { id: cc[1], url: license, ...Licenses[cc[1]], name: `${Licenses[cc[1]].name} ${cc[2]}` }
+  }
+
+  return { id: 'unknown', url: license, name: license, ...UnknownLicense }
+}
+
+// a one line description of where a candidate came from, e.g.
+//   "808 kick.wav" by someone (CC BY 4.0)
+export const describeCandidate = candidate => {
+  if (!candidate) return ''
+
+  const license = parseLicense(candidate.license)
+  return `"${candidate.name}"`
+    + (candidate.author ? ` by ${candidate.author}` : '')
+    + (license ? ` (${license.name}${license.commercial ? '' : ', non-commercial'})` : '')
+}
+
+// whether a candidate can't be used in anything which is sold
+export const isNonCommercial = candidate => {
+  const license = parseLicense(candidate && candidate.license)
+  return license !== null && !license.commercial
+}
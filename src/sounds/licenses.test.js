@@ -0,0 +1,48 @@
+import { describeCandidate, isNonCommercial, parseLicense } from './licenses'
+
+describe('parseLicense', () => {
+  test('understands creative commons urls', () => {
+    expect(parseLicense('http://creativecommons.org/licenses/by-nc/3.0/')).toEqual({
+      id: 'by-nc',
+      name: 'CC BY-NC 3.0',
+      url: 'http://creativecommons.org/licenses/by-nc/3.0/',
+      attribution: true,
+      commercial: false,
+    })
+    expect(parseLicense('https://creativecommons.org/publicdomain/zero/1.0/')).toMatchObject({
+      id: 'cc0',
+      name: 'CC0 1.0',
+      attribution: false,
+      commercial: true,
+    })
+    expect(parseLicense('http://creativecommons.org/licenses/sampling+/1.0/')).toMatchObject({ id: 'sampling+' })
+  })
+
+  test('understands license names', () => {
+    expect(parseLicense('by')).toEqual({ id: 'by', name: 'CC BY', url: null, attribution: true, commercial: true })
+    expect(parseLicense('generated')).toMatchObject({ attribution: false, commercial: true })
+  })
+
+  test('credits licenses it does not know', () => {
+    expect(parseLicense('https://example.com/license')).toMatchObject({ id: 'unknown', attribution: true })
+    expect(parseLicense(undefined)).toBe(null)
+  })
+})
+
+describe('describeCandidate', () => {
+  test('says who made a sound and how it can be used', () => {
+    const candidate = { id: 1, name: 'kick.wav', author: 'someone', license: 'http://creativecommons.org/licenses/by-nc/4.0/' }
+    expect(describeCandidate(candidate)).toEqual('"kick.wav" by someone (CC BY-NC 4.0, non-commercial)')
+    expect(describeCandidate({ id: 'synth:kick', name: 'synth kick', license: 'generated' })).toEqual('"synth kick" (generated)')
+    expect(describeCandidate({ id: 'kick', name: 'kick' })).toEqual('"kick"')
+  })
+})
+
+describe('isNonCommercial', () => {
+  test('flags non-commercial licenses only', () => {
+    expect(isNonCommercial({ license: 'http://creativecommons.org/licenses/by-nc/3.0/' })).toBe(true)
+    expect(isNonCommercial({ license: 'http://creativecommons.org/licenses/by/3.0/' })).toBe(false)
+    expect(isNonCommercial({})).toBe(false)
+    expect(isNonCommercial(null)).toBe(false)
+  })
+})
@@ -0,0 +1,36 @@
+// a provider for samples which don't need the network, given a table of
+// name -> sample where a sample is an ArrayBuffer, a url or a function which
+// loads an ArrayBuffer. a word matches every sample whose name contains it.
+export const makeLocalProvider = (samples, { fetch = (...args) => window.fetch(...args) } = {}) => ({
+  search: async query => Object.keys(samples)
+    .filter(name => name.toLowerCase().includes(query.toLowerCase()))
+    .map(name => ({ id: name, name })),
+
+  load: async ({ name }, { signal } = {}) => {
+    const sample = samples[name]
+    if (typeof sample === 'function') return sample()
+    if (typeof sample === 'string') return fetch(sample, { signal }).then(res => res.arrayBuffer())
+    // decoding takes ownership of a buffer, so hand out copies
+    return sample.slice(0)
+  },
+})
+
+// the samples which ship with the app live in public/samples, and are listed
+// in public/samples/index.json as { name: filename }
+export const makeBundledProvider = (baseUrl = `${process.env.PUBLIC_URL}/samples`) => {
+  let provider = null
+  const index = async () => {
+    if (!provider) {
+      const files = await fetch(`${baseUrl}/index.json`).then(res => res.json())
+      provider = makeLocalProvider(
+        Object.entries(files).reduce((acc, [name, file]) => ({ ...acc, [name]: `${baseUrl}/${file}` }), {})
+      )
+    }
+    return provider
+  }
+
+  return {
+    search: async (query, constraints, options) => (await index()).search(query, constraints, options),
+    load: async (candidate, options) => (await index()).load(candidate, options),
+  }
+}
@@ -0,0 +1,89 @@
+import { SoundConstraints, parseConstraints } from '../pattern/parser'
+
+// sounds come from providers, which are picked by prefixing a word with the
+// name of the provider, e.g. local:kick or fs:rain. words without a prefix
+// go to the default provider.
+//
+// a provider looks like,
+//   {
+//     search: async (query, constraints, { signal }) => [ { id, name, ... }, ... ], // candidates for a word
+//     load: async (candidate, { signal }) => ArrayBuffer,                        // the encoded audio of a candidate
+//   }
+// and can put whatever else it needs on its candidates (e.g. a url), like the root
+// note they are at, e.g. { root: 57 } (see pattern/notes.js). providers of pitched
+// sounds can have a root too, e.g. { root: 'C4', ... }, which is the query for
+// words which are just their name. constraints are the parsed constraints of the
+// word, e.g. kick{dur<0.5} (see pattern/parser.js), and providers which can't
+// search by them are free to ignore them. signal is an AbortSignal which is
+// aborted when the sound is no longer needed.
+
+export class UnknownProviderError extends Error {
+  constructor(prefix) {
+    super(`no sound provider called '${prefix}'`)
+    this.name = 'UnknownProviderError'
+    this.prefix = prefix
+  }
+}
+
+// splits a sound word into its provider prefix (or null), its query and its constraints,
+// e.g. 'fs:rain{dur<5}' is { prefix: 'fs', query: 'rain', constraints: [{ key: 'dur', op: '<', value: 5 }] }
+export const splitWord = word => {
+  const [, body, constraints] = word.match(/^(.*?)(?:\{(.*)\})?$/)
+  const match = body.match(/^([a-z][a-z0-9]*):(.+)$/i)
+
+  return {
+    prefix: match ? match[1].toLowerCase() : null,
+    query: match ? match[2] : body,
+    constraints: constraints ? parseConstraints(constraints) : [],
+  }
+}
+
+// the word which a sound is searched for, cached and picked by. constraints which
+// only change how the sound is prepared once it's found don't change which sound
+// it is, so kick{norm=off} is the same sound as kick, just not normalized.
+export const sourceWord = word => {
+  const [, body, constraints] = word.match(/^(.*?)(?:\{(.*)\})?$/)
+  if (!constraints) return word
+
+  // the rest are kept as they're written, so kick{dur<.5,norm=off} is kick{dur<.5}
+  const parsed = parseConstraints(constraints)
+  const kept = constraints.split(',').filter((part, idx) => !SoundConstraints[parsed[idx].key].prepares)
+  return kept.length ? `${body}{${kept.join(',')}}` : body
+}
+
+export class SoundRegistry {
+  constructor(defaultPrefix) {
+    this.defaultPrefix = defaultPrefix
+    this.providers = {}
+  }
+
+  register(prefix, provider) {
+    this.providers[prefix] = provider
+    return this
+  }
+
+  // the provider and query for a sound word, throws an UnknownProviderError
+  // if the word is prefixed with a provider which hasn't been registered.
+  // providers with a root note can be used on their own, e.g. sine is the
+  // same as sine:C4 (which can then be played at any note).
+  resolve(word) {
+    const { prefix, query, constraints } = splitWord(word)
+    const bare = prefix === null && this.providers[query.toLowerCase()]
+    if (bare && bare.root) return { prefix: query.toLowerCase(), provider: bare, query: bare.root, constraints }
+
+    const name = prefix || this.defaultPrefix
+    if (!this.providers[name]) throw new UnknownProviderError(name)
+
+    return { prefix: name, provider: this.providers[name], query, constraints }
+  }
+
+  async search(word, { signal = null } = {}) {
+    const { provider, query, constraints } = this.resolve(word)
+    return provider.search(query, constraints, { signal })
+  }
+
+  async load(word, candidate, { signal = null } = {}) {
+    const { provider } = this.resolve(word)
+    return provider.load(candidate, { signal })
+  }
+}
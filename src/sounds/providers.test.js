@@ -0,0 +1,125 @@
+import { SoundRegistry, UnknownProviderError, sourceWord, splitWord } from './providers'
+import { readFileSync } from 'fs'
+import path from 'path'
+
+import { makeBundledProvider, makeLocalProvider } from './local'
+import { makeHttpProvider, makeMockFetch } from './http'
+
+const bytes = (...values) => new Uint8Array(values).buffer
+
+describe('splitWord', () => {
+  test('splits off a provider prefix', () => {
+    expect(splitWord('fs:rain')).toEqual({ prefix: 'fs', query: 'rain', constraints: [] })
+    expect(splitWord('Local:big kick')).toEqual({ prefix: 'local', query: 'big kick', constraints: [] })
+  })
+
+  test('leaves plain words alone', () => {
+    expect(splitWord('kick')).toEqual({ prefix: null, query: 'kick', constraints: [] })
+    expect(splitWord(':kick')).toEqual({ prefix: null, query: ':kick', constraints: [] })
+  })
+})
+
+describe('SoundRegistry', () => {
+  const registry = new SoundRegistry('local')
+    .register('local', makeLocalProvider({ kick: bytes(1), 'kick 808': async () => bytes(2), snare: bytes(3) }))
+    .register('mock', makeHttpProvider({
+      baseUrl: 'http://sounds.test',
+      fetch: makeMockFetch({
+        'http://sounds.test/search?q=rain%20storm': { results: [{ id: 7, name: 'storm', url: '/audio/7.mp3' }] },
+        'http://sounds.test/search?q=nothing': { results: [] },
+        'http://sounds.test/audio/7.mp3': bytes(7),
+      }),
+    }))
+
+  test('sends plain words to the default provider', async () => {
+    const candidates = await registry.search('kick')
+    expect(candidates.map(c => c.name)).toEqual(['kick', 'kick 808'])
+
+    expect(new Uint8Array(await registry.load('kick', candidates[1]))).toEqual(new Uint8Array([2]))
+  })
+
+  test('sends prefixed words to their provider', async () => {
+    const candidates = await registry.search('mock:rain storm')
+    expect(candidates).toEqual([{ id: 7, name: 'storm', url: 'http://sounds.test/audio/7.mp3' }])
+
+    expect(new Uint8Array(await registry.load('mock:rain storm', candidates[0]))).toEqual(new Uint8Array([7]))
+    expect(await registry.search('mock:nothing')).toEqual([])
+  })
+
+  test('hands out copies of local samples', async () => {
+    const [candidate] = await registry.search('local:snare')
+    const a = await registry.load('local:snare', candidate)
+    const b = await registry.load('local:snare', candidate)
+    expect(a).not.toBe(b)
+  })
+
+  test('sends words which name a pitched provider to it at its root', () => {
+    const tone = { root: 'C4', search: async () => [], load: async () => new ArrayBuffer(0) }
+    const pitched = new SoundRegistry('mock').register('mock', {}).register('tone', tone)
+
+    expect(pitched.resolve('tone{root=A3}')).toEqual({
+      prefix: 'tone', provider: tone, query: 'C4', constraints: [{ key: 'root', op: '=', value: 'A3' }],
+    })
+    expect(pitched.resolve('tone:E4').query).toEqual('E4')
+    expect(pitched.resolve('mock').prefix).toEqual('mock')
+  })
+
+  test('fails for providers which do not exist', async () => {
+    expect(() => registry.resolve('nope:kick')).toThrow(UnknownProviderError)
+    await expect(registry.search('nope:kick')).rejects.toThrow(`no sound provider called 'nope'`)
+  })
+
+  test('fails when the server does', async () => {
+    await expect(registry.load('mock:rain', { url: 'http://sounds.test/missing' })).rejects.toThrow('404')
+  })
+})
+
+describe('splitWord constraints', () => {
+  test('splits off constraints', () => {
+    expect(splitWord('fs:kick{dur<0.5,sort=rating}')).toEqual({
+      prefix: 'fs',
+      query: 'kick',
+      constraints: [{ key: 'dur', op: '<', value: 0.5 }, { key: 'sort', op: '=', value: 'rating' }],
+    })
+    expect(splitWord('kick').constraints).toEqual([])
+  })
+})
+
+describe('sourceWord', () => {
+  test('leaves off constraints which only prepare the sound', () => {
+    expect(sourceWord('kick')).toEqual('kick')
+    expect(sourceWord('kick{norm=off}')).toEqual('kick')
+    expect(sourceWord('fs:piano{root=A3,trim=off}')).toEqual('fs:piano')
+    expect(sourceWord('kick{dur<.5,norm=off,sort=rating}')).toEqual('kick{dur<.5,sort=rating}')
+  })
+})
+
+describe('bundled samples', () => {
+  const dir = path.join(__dirname, '../../public/samples')
+  const read = file => readFileSync(path.join(dir, file))
+
+  // serves public/samples like the dev server does
+  const fetch = async url => {
+    const file = read(url.replace('/samples/', ''))
+    return { json: async () => JSON.parse(file), arrayBuffer: async () => file.buffer.slice(file.byteOffset, file.byteOffset + file.length) }
+  }
+
+  test('ship with the app', () => {
+    const index = JSON.parse(read('index.json'))
+    expect(Object.keys(index)).toEqual(expect.arrayContaining(['kick', 'snare', 'hat', 'clap']))
+    Object.values(index).forEach(file => expect(read(file).toString('latin1', 0, 4)).toEqual('RIFF'))
+  })
+
+  test('can be found by name', async () => {
+    const original = window.fetch
+    window.fetch = fetch
+    try {
+      const provider = makeBundledProvider('/samples')
+      const [kick] = await provider.search('kick')
+      expect(kick).toEqual({ id: 'kick', name: 'kick' })
+      expect((await provider.load(kick)).byteLength).toBeGreaterThan(44)
+    } finally {
+      window.fetch = original
+    }
+  })
+})
@@ -0,0 +1,130 @@
+// a queue for fetching sounds which runs a few fetches at a time, gives up on
+// requests which take too long, retries ones which fail, and can cancel fetches
+// for words which are no longer needed.
+
+export class TimeoutError extends Error {
+  constructor(timeout) {
+    super(`timed out after ${timeout / 1000}s`)
+    this.name = 'TimeoutError'
+  }
+}
+
+export const makeAbortError = () => {
+  const err = new Error('cancelled')
+  err.name = 'AbortError'
+  return err
+}
+
+export const isAbort = err => Boolean(err) && err.name === 'AbortError'
+
+// a promise which rejects when the signal is aborted (and never resolves)
+const aborted = signal => new Promise((resolve, reject) => {
+  if (signal.aborted) reject(makeAbortError())
+  signal.addEventListener('abort', () => reject(makeAbortError()))
+})
+
+const sleep = (ms, signal) => Promise.race([
+  new Promise(resolve => setTimeout(resolve, ms)),
+  ...(signal ? [aborted(signal)] : []),
+])
+
+// calls fn(signal), failing with a TimeoutError if it takes longer than timeout (ms)
+// and with an AbortError if the given signal is aborted. the signal fn gets is aborted
+// in either case, so it can stop whatever it's doing.
+export const withTimeout = async (fn, timeout, signal) => {
+  const controller = new AbortController()
+  const abort = () => controller.abort()
+  if (signal) signal.addEventListener('abort', abort)
+
+  let timer = null
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new TimeoutError(timeout))
+      controller.abort()
+    }, timeout)
+  })
+
+  try {
+    return await Promise.race([fn(controller.signal), timedOut, aborted(controller.signal)])
+  } finally {
+    clearTimeout(timer)
+    if (signal) signal.removeEventListener('abort', abort)
+  }
+}
+
+// calls fn(signal) until it succeeds, waiting exponentially longer between each of
+// the retries. errors which shouldRetry says no to (and cancellations) fail immediately.
+export const withRetries = async (fn, options = {}) => {
+  const {
+    retries = 2,       // how many times to try again after the first attempt
+    timeout = 15000,   // how long each attempt can take (ms)
+    backoff = 500,     // how long to wait before the first retry, which doubles each time (ms)
+    signal = null,
+    shouldRetry = () => true,
+  } = options
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await withTimeout(fn, timeout, signal)
+    } catch (err) {
+      if ((signal && signal.aborted) || attempt >= retries || !shouldRetry(err)) throw err
+
+      console.log(`Retrying After: ${err.message}`)
+      await sleep(backoff * Math.pow(2, attempt), signal)
+    }
+  }
+}
+
+export class FetchQueue {
+  constructor({ concurrency = 4 } = {}) {
+    this.concurrency = concurrency
+    this.waiting = []                  // tasks which haven't started yet, in order
+    this.running = Object.create(null) // tasks which have started, by key
+  }
+
+  // queues up task(signal) under a key, replacing anything already queued under it.
+  // returns a promise of the task's result, which rejects with an AbortError if it's
+  // cancelled before it finishes.
+  add(key, task) {
+    this.cancel(key)
+
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ key, task, resolve, reject, controller: new AbortController() })
+      this.next()
+    })
+  }
+
+  // cancels the task queued under a key, if there is one
+  cancel(key) {
+    const idx = this.waiting.findIndex(entry => entry.key === key)
+    if (idx !== -1) {
+      const [entry] = this.waiting.splice(idx, 1)
+      entry.reject(makeAbortError())
+    }
+
+    const entry = this.running[key]
+    if (entry) {
+      delete this.running[key]
+      entry.controller.abort()
+      entry.reject(makeAbortError())
+      this.next()
+    }
+  }
+
+  // starts as many waiting tasks as there is room for
+  next() {
+    while (Object.keys(this.running).length < this.concurrency && this.waiting.length > 0) {
+      const entry = this.waiting.shift()
+      this.running[entry.key] = entry
+
+      entry.task(entry.controller.signal)
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          // it may have been cancelled (and replaced) in the meantime
+          if (this.running[entry.key] !== entry) return
+          delete this.running[entry.key]
+          this.next()
+        })
+    }
+  }
+}
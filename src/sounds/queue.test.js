@@ -0,0 +1,129 @@
+import { FetchQueue, TimeoutError, isAbort, withRetries, withTimeout } from './queue'
+
+// a promise which can be resolved from outside
+const deferred = () => {
+  let resolve
+  const promise = new Promise(r => { resolve = r })
+  return { promise, resolve }
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0))
+
+describe('withTimeout', () => {
+  test('fails and aborts slow calls', async () => {
+    let signal = null
+    const call = withTimeout(s => {
+      signal = s
+      return new Promise(() => {})
+    }, 10)
+
+    await expect(call).rejects.toBeInstanceOf(TimeoutError)
+    expect(signal.aborted).toBe(true)
+  })
+
+  test('fails when cancelled', async () => {
+    const controller = new AbortController()
+    const call = withTimeout(() => new Promise(() => {}), 1000, controller.signal)
+    controller.abort()
+
+    await expect(call).rejects.toHaveProperty('name', 'AbortError')
+  })
+})
+
+describe('withRetries', () => {
+  test('retries until it succeeds', async () => {
+    let attempts = 0
+    const result = await withRetries(async () => {
+      if (++attempts < 3) throw new Error('flaky')
+      return 'ok'
+    }, { retries: 2, backoff: 1 })
+
+    expect(result).toEqual('ok')
+    expect(attempts).toEqual(3)
+  })
+
+  test('gives up after the last retry', async () => {
+    let attempts = 0
+    const call = withRetries(async () => {
+      attempts++
+      throw new Error('down')
+    }, { retries: 2, backoff: 1 })
+
+    await expect(call).rejects.toThrow('down')
+    expect(attempts).toEqual(3)
+  })
+
+  test('does not retry errors which should not be', async () => {
+    let attempts = 0
+    const call = withRetries(async () => {
+      attempts++
+      throw new Error('never')
+    }, { retries: 2, backoff: 1, shouldRetry: () => false })
+
+    await expect(call).rejects.toThrow('never')
+    expect(attempts).toEqual(1)
+  })
+
+  test('retries timeouts', async () => {
+    let attempts = 0
+    const result = await withRetries(
+      () => ++attempts === 1 ? new Promise(() => {}) : Promise.resolve('ok'),
+      { retries: 1, backoff: 1, timeout: 10 },
+    )
+
+    expect(result).toEqual('ok')
+  })
+})
+
+describe('FetchQueue', () => {
+  test('runs a limited number of tasks at a time', async () => {
+    const queue = new FetchQueue({ concurrency: 2 })
+    const tasks = [deferred(), deferred(), deferred()]
+    const started = []
+    const results = tasks.map((task, idx) => queue.add(idx, () => {
+      started.push(idx)
+      return task.promise
+    }))
+
+    expect(started).toEqual([0, 1])
+
+    tasks[1].resolve('b')
+    expect(await results[1]).toEqual('b')
+    await flush()
+    expect(started).toEqual([0, 1, 2])
+
+    tasks[0].resolve('a')
+    tasks[2].resolve('c')
+    expect(await Promise.all(results)).toEqual(['a', 'b', 'c'])
+  })
+
+  test('cancels waiting and running tasks', async () => {
+    const queue = new FetchQueue({ concurrency: 1 })
+    let signal = null
+    const running = queue.add('kick', s => {
+      signal = s
+      return new Promise(() => {})
+    })
+    const waiting = queue.add('snare', () => Promise.resolve('snare'))
+    const waitingToo = queue.add('hat', () => Promise.resolve('hat'))
+
+    queue.cancel('snare')
+    await expect(waiting).rejects.toHaveProperty('name', 'AbortError')
+
+    queue.cancel('kick')
+    await expect(running).rejects.toHaveProperty('name', 'AbortError')
+    expect(signal.aborted).toBe(true)
+
+    // cancelling makes room for the next task
+    expect(await waitingToo).toEqual('hat')
+  })
+
+  test('replaces tasks queued under the same key', async () => {
+    const queue = new FetchQueue()
+    const first = queue.add('kick', () => new Promise(() => {}))
+    const second = queue.add('kick', () => Promise.resolve('again'))
+
+    expect(await first.catch(err => isAbort(err))).toBe(true)
+    expect(await second).toEqual('again')
+  })
+})
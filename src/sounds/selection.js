@@ -0,0 +1,43 @@
+import { makeRandom } from '../random'
+
+// a 32 bit FNV-1a hash of some text
+export const hashString = text => {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+// the default choices for every word: nothing is locked or rerolled
+export const DefaultChoices = {
+  seed: 0,     // changes which candidate every word picks
+  locks: {},   // the id of the candidate each locked word always uses, by word
+  rerolls: {}, // how many times each word has been rerolled, by word
+}
+
+// words are typed in, so ones like constructor mustn't find what every object has
+const hasWord = (map, word) => Object.prototype.hasOwnProperty.call(map, word)
+
+// whether a word is locked to a candidate
+export const isLocked = (word, { locks = {} } = DefaultChoices) => hasWord(locks, word)
+
+// how many times a word has been rerolled
+export const rerollCount = (word, { rerolls = {} } = DefaultChoices) => hasWord(rerolls, word) ? rerolls[word] : 0
+
+// picks which of a word's candidates (see sounds/providers.js) to use. the same word
+// and seed always pick the same candidate, each reroll moves on to the next one, and
+// a word which is locked to a candidate keeps using it for as long as it can be found.
+export const chooseCandidate = (word, candidates, choices = DefaultChoices) => {
+  const { seed = 0, locks = {} } = choices
+  if (candidates.length === 0) return null
+
+  if (isLocked(word, choices)) {
+    const locked = candidates.find(c => c.id === locks[word])
+    if (locked) return locked
+  }
+
+  const first = Math.floor(makeRandom(hashString(word) ^ seed)() * candidates.length)
+  return candidates[(first + rerollCount(word, choices)) % candidates.length]
+}
@@ -0,0 +1,49 @@
+import { chooseCandidate, hashString, isLocked, rerollCount } from './selection'
+
+const candidates = Array.from({ length: 150 }, (_, id) => ({ id, name: `sound ${id}` }))
+
+describe('hashString', () => {
+  test('matches known FNV-1a hashes', () => {
+    expect(hashString('')).toEqual(0x811c9dc5)
+    expect(hashString('a')).toEqual(0xe40c292c)
+  })
+})
+
+describe('chooseCandidate', () => {
+  test('always picks the same candidate for the same word and seed', () => {
+    const kick = chooseCandidate('kick', candidates)
+    expect(chooseCandidate('kick', candidates)).toBe(kick)
+    expect(chooseCandidate('kick', candidates, { seed: 1 })).not.toBe(kick)
+  })
+
+  test('steps through every other candidate when rerolled', () => {
+    const first = chooseCandidate('kick', candidates)
+    const ids = Array.from({ length: 150 }, (_, rerolls) =>
+      chooseCandidate('kick', candidates, { rerolls: { kick: rerolls } }).id)
+
+    expect(ids[0]).toEqual(first.id)
+    expect(ids[1]).toEqual((first.id + 1) % 150)
+    expect(new Set(ids).size).toEqual(150)
+    expect(chooseCandidate('kick', candidates, { rerolls: { kick: 150 } })).toBe(first)
+  })
+
+  test('sticks to locked candidates', () => {
+    expect(chooseCandidate('kick', candidates, { locks: { kick: 42 }, rerolls: { kick: 3 } }).id).toEqual(42)
+  })
+
+  test('falls back to picking when a locked candidate is gone', () => {
+    const choices = { locks: { kick: 1000 } }
+    expect(chooseCandidate('kick', candidates, choices)).toBe(chooseCandidate('kick', candidates))
+  })
+
+  test('only counts locks and rerolls of the word itself', () => {
+    const choices = { locks: {}, rerolls: {} }
+    expect(isLocked('constructor', choices)).toBe(false)
+    expect(rerollCount('constructor', choices)).toEqual(0)
+    expect(chooseCandidate('constructor', candidates, choices)).toBe(chooseCandidate('constructor', candidates))
+  })
+
+  test('picks nothing from nothing', () => {
+    expect(chooseCandidate('kick', [])).toBeNull()
+  })
+})
@@ -0,0 +1,8 @@
+// the statuses that a sound can have
+export const SoundStatus = {
+  Searching: 'searching',
+  Downloading: 'downloading',
+  Available: 'available',
+  Unavailable: 'unavailable', // nothing was found for the word
+  Error: 'error',             // something went wrong, and the sound has a reason why
+}
@@ -0,0 +1,190 @@
+import { makeRandom } from '../random'
+import { encodeWav } from '../export/wav'
+import { frequencyToNote, noteNumber, noteToFrequency } from '../pattern/notes'
+
+// sounds which are synthesized on the spot rather than downloaded, so they
+// work without a network. they're rendered offline and encoded as WAVs so
+// they can be handled like any other sound.
+//
+//   sine:A3  square:C#2  saw:Eb4  triangle:440   a held note or frequency (Hz)
+//   sine  square  saw  triangle                  a held C4, which can be played at any note
+//   synth:kick  synth:snare  synth:hat ...       drum voices (see DrumVoices)
+//
+// since the pattern language turns sine:A3 into the word sine played at A3 (see
+// pattern/parser.js), held notes are usually rendered at their root and pitched
+// when they're played. the root of each oscillator candidate is its note.
+
+const SampleRate = 44100
+const NoteLength = 1.5  // length of oscillator notes (seconds)
+const AttackTime = 0.005
+const ReleaseTime = 0.05
+
+// the oscillator types which can be used as a prefix, and what web audio calls them
+export const OscillatorTypes = {
+  sine: 'sine',
+  square: 'square',
+  saw: 'sawtooth',
+  triangle: 'triangle',
+}
+
+// the frequency of a note name like A3, C#4 or Eb2 (A4 is 440Hz), or of a plain
+// number of hertz. returns null if it's neither.
+export const noteFrequency = name => {
+  if (/^\d*\.?\d+$/.test(name)) {
+    const hz = Number(name)
+    return hz > 0 && hz < SampleRate / 2 ? hz : null
+  }
+
+  const note = noteNumber(name)
+  return note === null ? null : noteToFrequency(note)
+}
+
+// a buffer of seeded white noise, so every render of a voice sounds the same
+const makeNoise = (audioContext, duration, seed = 1) => {
+  const buffer = audioContext.createBuffer(1, Math.ceil(duration * audioContext.sampleRate), audioContext.sampleRate)
+  const data = buffer.getChannelData(0)
+  const random = makeRandom(seed)
+  for (let i = 0; i < data.length; i++) data[i] = random() * 2 - 1
+
+  const source = audioContext.createBufferSource()
+  source.buffer = buffer
+  return source
+}
+
+// a gain which jumps to peak and decays exponentially to silence over decay seconds
+const makeDecay = (audioContext, peak, decay, time = 0) => {
+  const gain = audioContext.createGain()
+  gain.gain.setValueAtTime(peak, time)
+  gain.gain.exponentialRampToValueAtTime(0.0001, time + decay)
+  return gain
+}
+
+const noiseHit = ({ filter, freq, q = 1, peak, decay }) => audioContext => {
+  const noise = makeNoise(audioContext, decay)
+  const bandpass = audioContext.createBiquadFilter()
+  bandpass.type = filter
+  bandpass.frequency.value = freq
+  bandpass.Q.value = q
+  const env = makeDecay(audioContext, peak, decay)
+
+  noise.connect(bandpass).connect(env).connect(audioContext.destination)
+  noise.start(0)
+  return decay
+}
+
+// each voice builds itself in an offline audio context and returns its length (seconds)
+export const DrumVoices = {
+  // an 808 style kick is a sine wave which drops quickly in pitch and slowly in volume
+  kick: audioContext => {
+    const osc = audioContext.createOscillator()
+    osc.frequency.setValueAtTime(150, 0)
+    osc.frequency.exponentialRampToValueAtTime(50, 0.1)
+    const env = makeDecay(audioContext, 1, 0.8)
+
+    osc.connect(env).connect(audioContext.destination)
+    osc.start(0)
+    return 0.8
+  },
+
+  // a snare is a short tone for the drum and a burst of noise for the wires
+  snare: audioContext => {
+    const body = audioContext.createOscillator()
+    body.type = 'triangle'
+    body.frequency.value = 180
+    body.connect(makeDecay(audioContext, 0.6, 0.1)).connect(audioContext.destination)
+    body.start(0)
+
+    return noiseHit({ filter: 'highpass', freq: 1000, peak: 0.8, decay: 0.2 })(audioContext)
+  },
+
+  hat: noiseHit({ filter: 'highpass', freq: 7000, peak: 0.6, decay: 0.05 }),
+  openhat: noiseHit({ filter: 'highpass', freq: 7000, peak: 0.6, decay: 0.3 }),
+
+  // a clap is a few quick bursts of noise followed by a longer one
+  clap: audioContext => {
+    const noise = makeNoise(audioContext, 0.3)
+    const bandpass = audioContext.createBiquadFilter()
+    bandpass.type = 'bandpass'
+    bandpass.frequency.value = 1500
+    const env = audioContext.createGain()
+    env.gain.setValueAtTime(0, 0)
+    for (const time of [0, 0.01, 0.02]) {
+      env.gain.setValueAtTime(0.8, time)
+      env.gain.exponentialRampToValueAtTime(0.1, time + 0.009)
+    }
+    env.gain.setValueAtTime(0.8, 0.03)
+    env.gain.exponentialRampToValueAtTime(0.0001, 0.3)
+
+    noise.connect(bandpass).connect(env).connect(audioContext.destination)
+    noise.start(0)
+    return 0.3
+  },
+}
+
+// a held note with a short attack and release so it doesn't click
+const oscillatorVoice = (type, frequency) => audioContext => {
+  const osc = audioContext.createOscillator()
+  osc.type = type
+  osc.frequency.value = frequency
+
+  const env = audioContext.createGain()
+  env.gain.setValueAtTime(0, 0)
+  env.gain.linearRampToValueAtTime(0.5, AttackTime)
+  env.gain.setValueAtTime(0.5, NoteLength - ReleaseTime)
+  env.gain.linearRampToValueAtTime(0, NoteLength)
+
+  osc.connect(env).connect(audioContext.destination)
+  osc.start(0)
+  return NoteLength
+}
+
+// renders a voice and returns it as an encoded WAV
+export const renderVoice = async (voice, sampleRate = SampleRate) => {
+  // voices only know their length once they're built, so render for long enough
+  // for any of them and trim the silence off afterwards
+  const offlineContext = new OfflineAudioContext(1, Math.ceil(2 * sampleRate), sampleRate)
+  const length = voice(offlineContext)
+  const rendered = await offlineContext.startRendering()
+
+  const trimmed = offlineContext.createBuffer(1, Math.ceil(length * sampleRate), sampleRate)
+  trimmed.copyToChannel(rendered.getChannelData(0).subarray(0, trimmed.length), 0)
+  return encodeWav(trimmed, { bitDepth: 16 })
+}
+
+// a provider for one of the OscillatorTypes, where the query is a note name or
+// frequency. it has a root, so it can be used without a query (see SoundRegistry).
+export const makeOscillatorProvider = prefix => ({
+  root: 'C4',
+
+  search: async query => {
+    const frequency = noteFrequency(query)
+    if (frequency === null) return []
+
+    return [{
+      id: `${prefix}:${query}`,
+      name: `${prefix} ${query}`,
+      type: OscillatorTypes[prefix],
+      frequency,
+      root: frequencyToNote(frequency),
+      license: 'generated',
+    }]
+  },
+
+  load: async ({ type, frequency }) => renderVoice(oscillatorVoice(type, frequency)),
+})
+
+// only the names in the tables themselves, so synth:constructor isn't a sound
+const isKnown = (table, name) => Object.prototype.hasOwnProperty.call(table, name)
+
+// a provider for the DrumVoices (and the oscillators at A4, e.g. synth:sine)
+export const makeSynthProvider = () => ({
+  search: async query => {
+    const name = query.toLowerCase()
+    if (isKnown(DrumVoices, name)) return [{ id: `synth:${name}`, name: `synth ${name}`, voice: name, license: 'generated' }]
+    if (isKnown(OscillatorTypes, name)) return [{ id: `synth:${name}`, name: `synth ${name}`, type: OscillatorTypes[name], frequency: 440, root: 69, license: 'generated' }]
+    return []
+  },
+
+  load: async ({ voice, type, frequency }) =>
+    renderVoice(voice ? DrumVoices[voice] : oscillatorVoice(type, frequency)),
+})
@@ -0,0 +1,48 @@
+import { makeOscillatorProvider, makeSynthProvider, noteFrequency } from './synth'
+
+describe('noteFrequency', () => {
+  test('converts note names to hertz', () => {
+    expect(noteFrequency('A4')).toEqual(440)
+    expect(noteFrequency('A3')).toEqual(220)
+    expect(noteFrequency('c4')).toBeCloseTo(261.63, 2)
+    expect(noteFrequency('C#4')).toBeCloseTo(noteFrequency('Db4'))
+    expect(noteFrequency('Bb2')).toBeCloseTo(116.54, 2)
+  })
+
+  test('passes plain frequencies through', () => {
+    expect(noteFrequency('440')).toEqual(440)
+    expect(noteFrequency('55.5')).toEqual(55.5)
+  })
+
+  test('rejects anything else', () => {
+    expect(noteFrequency('H2')).toBeNull()
+    expect(noteFrequency('A')).toBeNull()
+    expect(noteFrequency('0')).toBeNull()
+    expect(noteFrequency('kick')).toBeNull()
+  })
+})
+
+describe('synth providers', () => {
+  test('find a note for each note name', async () => {
+    const provider = makeOscillatorProvider('saw')
+    expect(await provider.search('A3')).toEqual([
+      { id: 'saw:A3', name: 'saw A3', type: 'sawtooth', frequency: 220, root: 57, license: 'generated' },
+    ])
+    expect(await provider.search('loud')).toEqual([])
+  })
+
+  test('find drum voices and oscillators', async () => {
+    const provider = makeSynthProvider()
+    expect(await provider.search('Kick')).toEqual([{ id: 'synth:kick', name: 'synth kick', voice: 'kick', license: 'generated' }])
+    expect(await provider.search('sine')).toEqual([
+      { id: 'synth:sine', name: 'synth sine', type: 'sine', frequency: 440, root: 69, license: 'generated' },
+    ])
+    expect(await provider.search('cowbell')).toEqual([])
+  })
+
+  test('only find the voices and oscillators there are', async () => {
+    const provider = makeSynthProvider()
+    expect(await provider.search('constructor')).toEqual([])
+    expect(await provider.search('toString')).toEqual([])
+  })
+})
@@ -0,0 +1,19 @@
+// small helpers for keeping things in local storage between sessions. values
+// are stored as json, and storage which is missing or full is never fatal.
+
+export const loadSetting = (key, fallback = null) => {
+  try {
+    const value = window.localStorage.getItem(key)
+    return value === null ? fallback : JSON.parse(value)
+  } catch (err) {
+    return fallback
+  }
+}
+
+export const saveSetting = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value))
+  } catch (err) {
+    console.error(`Saving ${key} Failed: ${err.message}`)
+  }
+}
@@ -0,0 +1,50 @@
+import { silentBuffer } from './buffers'
+
+const noop = () => {}
+
+// params jump straight to whatever they're set or ramped to, whenever that is
+const fakeParam = (value = 0) => {
+  const param = { value, cancelScheduledValues: noop }
+  const set = value => { param.value = value }
+  return Object.assign(param, { setValueAtTime: set, linearRampToValueAtTime: set, setTargetAtTime: set })
+}
+
+// the bytes of a sound which a fake audio context decodes into a buffer named name
+export const soundBytes = name => Uint8Array.from(name, c => c.charCodeAt(0)).buffer
+
+// a stand-in for an AudioContext whose time is moved on by hand (currentTime) and
+// which keeps every sound it starts in played, as { name, time, at } where at is
+// when it was started. its buffers are
+// silent, and named by the bytes they were decoded from (see soundBytes).
+export const fakeAudioContext = () => {
+  const context = { currentTime: 0, sampleRate: 44100, state: 'running', played: [] }
+  const node = (props = {}) => ({ context, connect: noop, disconnect: noop, gain: fakeParam(), pan: fakeParam(), ...props })
+
+  return Object.assign(context, {
+    destination: node(),
+    createGain: () => node({ gain: fakeParam(1) }),
+    createBiquadFilter: () => node({ type: 'lowpass', frequency: fakeParam(350), Q: fakeParam(1) }),
+    createDelay: () => node({ delayTime: fakeParam() }),
+    createConvolver: () => node({ buffer: null }),
+    createWaveShaper: () => node({ curve: null, oversample: 'none' }),
+    createBuffer: (channels, length, sampleRate) => silentBuffer(length, sampleRate, channels),
+    createStereoPanner: () => node(),
+    createDynamicsCompressor: () => node({
+      threshold: fakeParam(), knee: fakeParam(), ratio: fakeParam(), attack: fakeParam(), release: fakeParam(),
+    }),
+    createAnalyser: () => node({ frequencyBinCount: 0, getByteFrequencyData: noop }),
+    createScriptProcessor: () => node(),
+    createMediaStreamSource: () => node(),
+    createMediaStreamDestination: () => node({ stream: {} }),
+    createBufferSource: () => {
+      const source = node({ playbackRate: fakeParam(), detune: fakeParam(), stop: noop })
+      source.start = time => context.played.push({ name: source.buffer.name, time, at: context.currentTime })
+      return source
+    },
+    decodeAudioData: async bytes => ({
+      ...silentBuffer(100, context.sampleRate),
+      name: String.fromCharCode(...new Uint8Array(bytes)),
+    }),
+    resume: noop,
+  })
+}
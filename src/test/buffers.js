@@ -0,0 +1,15 @@
+// stand-ins for AudioBuffers in tests, holding the samples of each channel
+export const fakeBuffer = (channels, sampleRate = 44100) => {
+  const data = channels.map(channel => Float32Array.from(channel))
+  return {
+    numberOfChannels: data.length,
+    sampleRate,
+    length: data[0].length,
+    getChannelData: c => data[c],
+    copyToChannel: (samples, c) => data[c].set(samples),
+  }
+}
+
+// a buffer of silence, length samples long
+export const silentBuffer = (length, sampleRate = 44100, numberOfChannels = 1) =>
+  fakeBuffer(Array.from({ length: numberOfChannels }, () => new Float32Array(length)), sampleRate)
@@ -1,10 +1,14 @@
 import React from 'react'
 import { makeStyles } from "@material-ui/core/styles"
-import { IconButton } from '@material-ui/core'
+import { Button, IconButton, NativeSelect } from '@material-ui/core'
 import RecordIcon from '@material-ui/icons/FiberManualRecord'
 import PlayIcon from '@material-ui/icons/PlayArrow'
 import PauseIcon from '@material-ui/icons/Pause'
 import StopIcon from '@material-ui/icons/Stop'
+import BounceIcon from '@material-ui/icons/SaveAlt'
+import { Quantize } from './scheduler'
+import { BounceLengths } from './export/bounce'
+import { StemModes } from './export/stems'
 
 
 const useStyles = makeStyles(theme => ({
@@ -44,8 +48,40 @@ const useStyles = makeStyles(theme => ({
     color: '#faf566',
     "&:hover, &.Mui-focusVisible": { backgroundColor: "#b0ad56" },
   },
+  buttonQuantize: {
+    marginLeft: '2%',
+    marginRight: '2%',
+    color: '#b38cff',
+    textTransform: 'lowercase',
+    "&:hover, &.Mui-focusVisible": { backgroundColor: "#4e3e6e" },
+  },
+  buttonBounce: {
+    marginLeft: '2%',
+    color: '#8dff87',
+    "&:hover, &.Mui-focusVisible": { backgroundColor: "#3f6e3c" },
+  },
+  buttonBouncing: {
+    marginLeft: '2%',
+    color: '#3f6e3c',
+  },
+  buttonMidi: {
+    marginLeft: '8px',
+    minWidth: '40px',
+    color: '#8dff87',
+    textTransform: 'lowercase',
+    "&:hover, &.Mui-focusVisible": { backgroundColor: "#3f6e3c" },
+  },
+  select: {
+    marginLeft: '8px',
+    color: '#8dff87',
+    fontSize: '14px',
+    '& option': { backgroundColor: '#23272e' },
+  },
 }))
 
+// the order that the quantize button cycles through
+const quantizeModes = [Quantize.Immediate, Quantize.Beat, Quantize.Bar, Quantize.Cycle]
+
 export const Toolbar = props => {
   const {
     isRecording,
@@ -54,6 +90,13 @@ export const Toolbar = props => {
     setIsPlaying,
     isPaused,
     setIsPaused,
+    quantize,
+    setQuantize,
+    isBouncing,
+    setIsBouncing,
+    bounceSettings,
+    setBounceSettings,
+    setIsExportingMidi,
   } = props
   const classes = useStyles()
   const styles = {
@@ -83,6 +126,9 @@ export const Toolbar = props => {
       setIsPlaying(true)
     }
   }
+  const cycleQuantize = e => {
+    setQuantize(quantizeModes[(quantizeModes.indexOf(quantize) + 1) % quantizeModes.length])
+  }
   const stopPlayback = e => {
     setIsPlaying(false)
     setIsPaused(false)
@@ -108,6 +154,45 @@ export const Toolbar = props => {
       <IconButton aria-label="record" size="small" className={isRecording? classes.buttonRecording : classes.buttonNotRecording} onClick={toggleRecording}>
         <RecordIcon />
       </IconButton>
+      <Button aria-label="quantize" size="small" className={classes.buttonQuantize} onClick={cycleQuantize}>
+        {`quantize: ${quantize}`}
+      </Button>
+      <IconButton
+        aria-label="bounce"
+        size="small"
+        disabled={isBouncing}
+        className={isBouncing ? classes.buttonBouncing : classes.buttonBounce}
+        onClick={() => setIsBouncing(true)}>
+        <BounceIcon />
+      </IconButton>
+      <NativeSelect
+        aria-label="bounce length"
+        disableUnderline
+        className={classes.select}
+        value={bounceSettings.length}
+        onChange={e => setBounceSettings({...bounceSettings, length: e.target.value})}>
+        {Object.keys(BounceLengths).map(length => <option key={length} value={length}>{length}</option>)}
+      </NativeSelect>
+      <NativeSelect
+        aria-label="bounce bit depth"
+        disableUnderline
+        className={classes.select}
+        value={bounceSettings.bitDepth}
+        onChange={e => setBounceSettings({...bounceSettings, bitDepth: Number(e.target.value)})}>
+        <option value={16}>16 bit</option>
+        <option value={24}>24 bit</option>
+      </NativeSelect>
+      <NativeSelect
+        aria-label="stems"
+        disableUnderline
+        className={classes.select}
+        value={bounceSettings.stems}
+        onChange={e => setBounceSettings({...bounceSettings, stems: e.target.value})}>
+        {Object.values(StemModes).map(mode => <option key={mode} value={mode}>{mode}</option>)}
+      </NativeSelect>
+      <Button aria-label="export midi" size="small" className={classes.buttonMidi} onClick={() => setIsExportingMidi(true)}>
+        midi
+      </Button>
     </div>
   )
 }
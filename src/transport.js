@@ -0,0 +1,72 @@
+import { Clock } from './clock'
+
+// the transport is the single source of truth for song position. it wraps
+// the clock so that the song can be paused and resumed on the exact beat
+// it left off at, and it knows how beats are grouped into bars so that
+// sequences can be lined up on beat or bar boundaries.
+export class Transport {
+  constructor(audioContext, bpm = 128, beatsPerBar = 4) {
+    this.audioContext = audioContext
+    this.clock = new Clock(bpm)
+    this.beatsPerBar = beatsPerBar
+    this.startLatency = 0.05 // give the first notes some time to be scheduled (seconds)
+    this.isRunning = false
+    this.pausedBeat = 0.0    // the beat to resume from when not running
+  }
+
+  get bpm() { return this.clock.bpm }
+
+  setBpm(bpm) {
+    this.clock.setBpm(bpm, this.audioContext.currentTime)
+  }
+
+  // starts (or resumes) the transport from the beat it was paused on
+  start() {
+    if (this.isRunning) return
+
+    this.clock.anchor(this.pausedBeat, this.audioContext.currentTime + this.startLatency)
+    this.isRunning = true
+  }
+
+  // pauses the transport on the beat at the given time. since notes are
+  // scheduled ahead of time, this should be the time that notes have been
+  // scheduled up to so that none get skipped or played twice on resume.
+  pause(time = this.audioContext.currentTime) {
+    if (!this.isRunning) return
+
+    // nothing before the transport was started can have been scheduled
+    this.pausedBeat = this.clock.beatAt(Math.max(time, this.clock.anchorTime))
+    this.isRunning = false
+  }
+
+  // stops the transport and rewinds to the top of the song
+  stop() {
+    this.isRunning = false
+    this.pausedBeat = 0.0
+  }
+
+  currentBeat() {
+    return this.isRunning
+      ? Math.max(0, this.clock.beatAt(this.audioContext.currentTime))
+      : this.pausedBeat
+  }
+
+  // the song position as 1-indexed bars and beats, e.g. { bar: 3, beat: 2.5 }
+  position() {
+    const beat = this.currentBeat()
+    return {
+      bar: Math.floor(beat / this.beatsPerBar) + 1,
+      beat: beat % this.beatsPerBar + 1,
+    }
+  }
+
+  // the first beat on or after the given beat (by default, the current beat)
+  // which falls on a boundary, where the boundary is either 'beat' or 'bar'
+  nextBoundary(boundary = 'bar', beat = this.currentBeat()) {
+    const size = boundary === 'bar' ? this.beatsPerBar : 1
+    return Math.ceil(beat / size) * size
+  }
+
+  beatAt(time) { return this.clock.beatAt(time) }
+  timeAt(beat) { return this.clock.timeAt(beat) }
+}
@@ -0,0 +1,47 @@
+import { Transport } from './transport'
+
+describe('Transport', () => {
+  const setup = () => {
+    const audioContext = { currentTime: 10 }
+    const transport = new Transport(audioContext, 120)
+    transport.startLatency = 0
+    return { audioContext, transport }
+  }
+
+  test('starts from the top of the song', () => {
+    const { audioContext, transport } = setup()
+    transport.start()
+    expect(transport.timeAt(0)).toEqual(10)
+    audioContext.currentTime = 13
+    expect(transport.position()).toEqual({ bar: 2, beat: 3 })
+  })
+
+  test('resumes from the beat it was paused on', () => {
+    const { audioContext, transport } = setup()
+    transport.start()
+    audioContext.currentTime = 11
+    transport.pause()
+    expect(transport.currentBeat()).toEqual(2)
+
+    audioContext.currentTime = 100
+    expect(transport.currentBeat()).toEqual(2)
+    transport.start()
+    expect(transport.timeAt(2)).toEqual(100)
+  })
+
+  test('rewinds when stopped', () => {
+    const { audioContext, transport } = setup()
+    transport.start()
+    audioContext.currentTime = 11
+    transport.stop()
+    expect(transport.currentBeat()).toEqual(0)
+  })
+
+  test('finds the next beat and bar boundaries', () => {
+    const { audioContext, transport } = setup()
+    transport.start()
+    audioContext.currentTime = 12.25
+    expect(transport.nextBoundary('beat')).toEqual(5)
+    expect(transport.nextBoundary('bar')).toEqual(8)
+  })
+})
@@ -1,6 +1,7 @@
 import React, { useEffect, useRef, useState } from 'react'
 
 import { useSequenceContext } from './context/sequence'
+import { compile } from './pattern/events'
 
 
 export const SequenceVisualizer = props => {
@@ -24,7 +25,8 @@ export const SequenceVisualizer = props => {
 
     for (let i = 0; i < sequenceState.sequences.length; i++) {
       const onStep = currentSteps[sequenceState.sequences[i].key]
-      for (let j = 0; j < sequenceState.sequences[i].steps.length; j++) {
+      const { length } = compile(sequenceState.sequences[i].ast)
+      for (let j = 0; j < length; j++) {
         context.strokeStyle = "#FFFFFF"
         if (j === onStep) {
           // set the color
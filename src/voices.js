@@ -0,0 +1,74 @@
+// the envelope that a note is played with unless its step params say otherwise
+// (see StepParams in pattern/parser.js). the short attack and release stop notes
+// from clicking when they start and end.
+export const DefaultEnvelope = {
+  atk: 0.002, // attack (seconds)
+  dec: 0,     // decay (seconds)
+  sus: 1,     // sustain level (0 to 1)
+  rel: 0.05,  // release (seconds)
+}
+
+export const ChokeTime = 0.01 // how quickly a choked note fades out (seconds)
+const ForgetTime = 1          // how long finished voices are kept around in case they overlap a late one (seconds)
+
+// the envelope of a step from its params, with the defaults filled in
+export const noteEnvelope = params => ({
+  atk: Math.max(0, params.atk === undefined ? DefaultEnvelope.atk : params.atk),
+  dec: Math.max(0, params.dec === undefined ? DefaultEnvelope.dec : params.dec),
+  sus: Math.max(0, Math.min(1, params.sus === undefined ? DefaultEnvelope.sus : params.sus)),
+  rel: Math.max(0, params.rel === undefined ? DefaultEnvelope.rel : params.rel),
+})
+
+// the points of a linear adsr envelope for a note held for length seconds, as
+//   [[seconds, level], ...]
+// from the start of the note. a note which is let go of before its attack or
+// decay has finished is released from wherever it had got to.
+export const envelopePoints = ({ atk, dec, sus, rel }, length) => {
+  const levelAt = t => t < atk ? t / atk
+        : t < atk + dec ? 1 - (1 - sus) * (t - atk) / dec
+        : sus
+
+  const points = [[0, atk > 0 ? 0 : levelAt(0)]]
+  const add = t => {
+    if (t > points[points.length - 1][0]) points.push([t, levelAt(t)])
+  }
+  add(Math.min(atk, length))
+  add(Math.min(atk + dec, length))
+  add(length)
+
+  points.push([Math.max(0, length) + rel, 0])
+  return points
+}
+
+// notes in the same choke group cut each other off, like an open hat being
+// cut short by a closed one. groups are shared between lines.
+//
+// voices are { start, end, cut } where cut(time) fades the voice out from then
+// on. notes from different lines aren't always scheduled in the order they play,
+// so a new voice can be cut by one which has already been scheduled after it.
+export class ChokeGroups {
+  constructor() {
+    this.groups = {}
+  }
+
+  add(group, voice) {
+    const voices = (this.groups[group] || [])
+          .filter(other => other.end > voice.start - ForgetTime)
+          .sort((a, b) => a.start - b.start)
+
+    for (const other of voices) {
+      if (other.start < voice.start && other.end > voice.start) {
+        cut(other, voice.start)
+      } else if (other.start > voice.start && voice.end > other.start) {
+        cut(voice, other.start)
+      }
+    }
+
+    this.groups[group] = [...voices, voice]
+  }
+}
+
+const cut = (voice, time) => {
+  voice.cut(time)
+  voice.end = time
+}
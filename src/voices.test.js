@@ -0,0 +1,71 @@
+import { ChokeGroups, DefaultEnvelope, envelopePoints, noteEnvelope } from './voices'
+
+describe('noteEnvelope', () => {
+  test('fills in the defaults', () => {
+    expect(noteEnvelope({})).toEqual(DefaultEnvelope)
+    expect(noteEnvelope({ atk: 0.1, sus: 2, rel: -1 })).toEqual({ ...DefaultEnvelope, atk: 0.1, sus: 1, rel: 0 })
+  })
+})
+
+describe('envelopePoints', () => {
+  const adsr = { atk: 0.1, dec: 0.2, sus: 0.5, rel: 0.3 }
+
+  test('goes through every stage of a held note', () => {
+    expect(envelopePoints(adsr, 1)).toEqual([[0, 0], [0.1, 1], [0.1 + 0.2, 0.5], [1, 0.5], [1.3, 0]])
+  })
+
+  test('releases notes from wherever they had got to', () => {
+    const points = envelopePoints(adsr, 0.05)
+    expect(points).toEqual([[0, 0], [0.05, 0.5], [0.35, 0]])
+
+    const decaying = envelopePoints(adsr, 0.2)
+    expect(decaying.map(([t]) => t)).toEqual([0, 0.1, 0.2, 0.5])
+    expect(decaying[2][1]).toBeCloseTo(0.75)
+  })
+
+  test('starts at full level without an attack', () => {
+    expect(envelopePoints({ atk: 0, dec: 0, sus: 1, rel: 0 }, 0.5)).toEqual([[0, 1], [0.5, 1], [0.5, 0]])
+  })
+})
+
+describe('ChokeGroups', () => {
+  const voice = (start, end) => {
+    const v = { start, end, cuts: [], cut: time => v.cuts.push(time) }
+    return v
+  }
+
+  test('cuts off the notes which are still playing', () => {
+    const chokes = new ChokeGroups()
+    const open = voice(0, 2)
+    const closed = voice(1, 1.2)
+    chokes.add(1, open)
+    chokes.add(1, closed)
+
+    expect(open.cuts).toEqual([1])
+    expect(open.end).toEqual(1)
+    expect(closed.cuts).toEqual([])
+  })
+
+  test('leaves other groups and finished notes alone', () => {
+    const chokes = new ChokeGroups()
+    const other = voice(0, 2)
+    const finished = voice(0, 0.5)
+    chokes.add(2, other)
+    chokes.add(1, finished)
+    chokes.add(1, voice(1, 2))
+
+    expect(other.cuts).toEqual([])
+    expect(finished.cuts).toEqual([])
+  })
+
+  test('cuts off new notes which overlap ones that were scheduled first', () => {
+    const chokes = new ChokeGroups()
+    const later = voice(1.05, 1.5)
+    const earlier = voice(1, 2)
+    chokes.add(1, later)
+    chokes.add(1, earlier)
+
+    expect(earlier.cuts).toEqual([1.05])
+    expect(later.cuts).toEqual([])
+  })
+})